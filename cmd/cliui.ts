@@ -28,6 +28,7 @@ export function showHelp(): void {
 	{bold $} {cyan npx moment-guess} --date {yellow 2020-10-10}
 	{bold $} {cyan npx moment-guess} --date "{yellow 31st Dec, 2020}" --format {blue default}
 	{bold $} {cyan npx moment-guess} --date "{yellow Mon, 06 Mar 2017 21:00:00 +0000}" --format {blue strftime}
+	{bold $} {cyan npx moment-guess} --date "{yellow 2020-10-10T10:00:00+05:30}" --format {blue luxon}
 	{bold $} {cyan npx moment-guess} --version
 	{bold $} {cyan npx moment-guess} --help
 
@@ -39,8 +40,30 @@ export function showHelp(): void {
 
 	-d, --date                          Displays the provided date's format
 
-	-f, --format                        (optional)Format to display, can be one of "strftime" or "default"
+	-f, --format                        (optional)Format to display, one of the FORMATS below, "default" if omitted
 					    To be used in conjunction with --date
+
+	{bold FORMATS}
+
+	default                             moment
+	strftime                            strftime(3)
+	luxon                               Luxon
+	ldml                                Unicode LDML(date-fns)
+	dayjs                               Day.js
+	java                                Java DateTimeFormatter
+	java:legacy                         Java SimpleDateFormat
+	python                              Python datetime.strptime
+	dotnet                              .NET custom date and time format
+	php                                 PHP date() and DateTime::createFromFormat
+	go                                  Go reference time layout
+	postgres                            PostgreSQL to_char and to_timestamp
+	mysql                               MySQL DATE_FORMAT and STR_TO_DATE
+	oracle                              Oracle TO_DATE and TO_CHAR format model
+	oracle:snowflake                    Snowflake TO_DATE and TO_TIMESTAMP
+	excel                               Spreadsheet number format (Excel, LibreOffice, Google Sheets)
+	chrono                              Rust chrono
+	elasticsearch                       Elasticsearch built-in format name or custom pattern
+	bigquery                            BigQuery PARSE_TIMESTAMP and FORMAT_TIMESTAMP
 	`
 	);
 }
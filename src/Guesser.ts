@@ -1,11 +1,23 @@
 import parsers from './parsers';
 import refiners from './refiners';
-import { strftimeAssigners, defaultAssigners } from './assigners';
+import assigners from './assigners';
+import reporters from './reporters';
 import Token from './parsers/Token';
+import { getIntlOptions, renderIntlOptions } from './intl';
+import { enPresets, getPresetFormatString } from './presets';
+import { getElasticsearchFormatName } from './elasticsearch';
+import { mergeFractionalSeconds } from './bigquery';
+import { mergeFractionDot } from './chrono';
+import { isFixedWidth } from './oracle';
+import { Substitution, substituteUnavailable } from './fallback';
 
 import {
 	Date,
 	Format,
+	FormatDetails,
+	GuessOptions,
+	IAssigner,
+	IntlFormatDetails,
 	ParsedResult,
 } from './types';
 
@@ -34,23 +46,129 @@ export default class Guesser {
 		return refinedParsedResults;
 	}
 
+	/**
+	 * The formats there are assigners for
+	 */
+	static getFormats(): Array<string> {
+		return Array.from(assigners.keys());
+	}
+
+	/**
+	 * Copies the parsed result with fresh tokens, so that another format can be assigned
+	 */
+	static copy(parsedResult: ParsedResult): ParsedResult {
+		return {
+			...parsedResult,
+			tokens: parsedResult.tokens.map(token => new Token(token.value, token.type)),
+		};
+	}
+
+	/**
+	 * The format whose assigners are used, formats without assigners of their
+	 * own get strftime's
+	 */
+	static resolveFormat(format?: string): string {
+		const name = format || 'default';
+		return assigners.has(name) ? name : 'strftime';
+	}
+
 	static assign(tokens: Array<Token>, format?: string): void {
-		let assigners = (!format || format === 'default') ? defaultAssigners : strftimeAssigners;
-		assigners.forEach(assigner => {
+		const formatAssigners = assigners.get(Guesser.resolveFormat(format)) as Array<IAssigner>;
+		formatAssigners.forEach(assigner => {
 			tokens.forEach(token => {
 				assigner.assign(token);
 			});
 		});
 	}
 
-	static getFormatString(tokens: Array<Token>): Format {
+	static getFormatString(tokens: Array<Token>, format?: string, options: GuessOptions = {}): Format {
 		let formatString: Format = '';
 		tokens.forEach(token => {
 			if (token.format === 'NA') {
-				throw Error(`Couldn't find strftime modifier for "${token.value}"`);
+				throw Error(`Couldn't find ${Guesser.resolveFormat(format)} modifier for "${token.value}"`);
 			}
 			formatString += token.format ? token.format : token.value;
 		});
+		if (options.presets) {
+			if (format && format !== 'default') {
+				throw Error(`Locale presets are only available for the default format, not "${format}"`);
+			}
+			return getPresetFormatString(tokens, options.presets === true ? enPresets : options.presets);
+		}
 		return formatString;
 	}
+
+	/**
+	 * Same as getFormatString, but prefers the name of a built-in format where
+	 * the output format has them(Elasticsearch), and lets formats whose elements
+	 * span several tokens(BigQuery, chrono) combine them. Oracle format models of padded
+	 * elements only get "FX" to be matched exactly
+	 */
+	static getFormat(parsedResult: ParsedResult, format?: string, options: GuessOptions = {}): Format {
+		return Guesser.substituteAndFormat(parsedResult, format, options).format;
+	}
+
+	static getFormatDetails(parsedResult: ParsedResult, format?: string, options: GuessOptions = {}): FormatDetails {
+		const { format: formatString, substitutions } = Guesser.substituteAndFormat(parsedResult, format, options);
+		const details: FormatDetails = {
+			format: formatString,
+			parser: parsedResult.parser,
+			warnings: [
+				...(parsedResult.warnings || []),
+				...substitutions.map(substitution => substitution.warning),
+			],
+		};
+		if (options.fallback) {
+			details.roundTrip = substitutions.every(substitution => substitution.roundTrip);
+		}
+		reporters
+			.filter(reporter => reporter.format === Guesser.resolveFormat(format))
+			.forEach(reporter => reporter.report(parsedResult.tokens, details));
+		return details;
+	}
+
+	/**
+	 * The format along with what `options.fallback` substituted to get it, the
+	 * substitutions are made once on the tokens the format string is built from
+	 */
+	private static substituteAndFormat(
+		parsedResult: ParsedResult,
+		format?: string,
+		options: GuessOptions = {}
+	): { format: Format, substitutions: Array<Substitution> } {
+		if (format === 'elasticsearch') {
+			const name = getElasticsearchFormatName(parsedResult);
+			if (name) {
+				return { format: name, substitutions: [] };
+			}
+		}
+
+		let tokens = parsedResult.tokens;
+		if (format === 'bigquery') {
+			tokens = mergeFractionalSeconds(tokens);
+		} else if (format === 'chrono') {
+			tokens = mergeFractionDot(tokens);
+		}
+		const substitutions = options.fallback ? substituteUnavailable(tokens, Guesser.resolveFormat(format)) : [];
+		const formatString = Guesser.getFormatString(tokens, format, options);
+		return {
+			format: format === 'oracle' && isFixedWidth(tokens) ? `FX${formatString}` : formatString,
+			substitutions,
+		};
+	}
+
+	static getIntlFormatDetails(parsedResult: ParsedResult): IntlFormatDetails {
+		const options = getIntlOptions(parsedResult.tokens);
+		const rendered = renderIntlOptions(parsedResult.tokens, options);
+		const input = parsedResult.tokens.map(token => token.value).join('');
+
+		// ICU puts a narrow no-break space before AM/PM
+		const normalize = (text: string) => text.replace(/\s/g, ' ');
+		return {
+			options,
+			parser: parsedResult.parser,
+			rendered,
+			exact: normalize(rendered) === normalize(input),
+		};
+	}
 }
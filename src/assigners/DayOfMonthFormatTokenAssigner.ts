@@ -20,10 +20,98 @@ class DayOfMonthFormatTokenAssigner implements IAssigner {
 			this._map.set(/\d{1,2}/, 'D');
 			this._map.set(/\d{2}/, 'DD');
 			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'Do');
+			// Space padded, as in asctime. Only some formats have a token for it, the others
+			// read the space as a delimiter
+			this._map.set(/^ \d$/, ' D');
+		} else if (format === 'luxon') {
+			this._map.set(/\d{1,2}/, 'd');
+			this._map.set(/\d{2}/, 'dd');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^ \d$/, ' d');
+		} else if (format === 'ldml') {
+			this._map.set(/\d{1,2}/, 'd');
+			this._map.set(/\d{2}/, 'dd');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'do');
+			this._map.set(/^ \d$/, ' d');
+		} else if (format === 'dayjs') {
+			this._map.set(/\d{1,2}/, 'D');
+			this._map.set(/\d{2}/, 'DD');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'Do');
+			this._map.set(/^ \d$/, ' D');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/\d{1,2}/, 'd');
+			this._map.set(/\d{2}/, 'dd');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^ \d$/, format === 'java' ? 'ppd' : ' d');
+		} else if (format === 'python') {
+			this._map.set(/\d{1,2}/, '%d');
+			this._map.set(/\d{2}/, '%d');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, '%d');
+			this._map.set(/^ \d$/, '%d');
+		} else if (format === 'dotnet') {
+			// Ordinal suffixes are reported, they have to be stripped before parsing
+			this._map.set(/\d{1,2}/, 'd');
+			this._map.set(/\d{2}/, 'dd');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'd');
+			this._map.set(/^ \d$/, ' d');
+		} else if (format === 'php') {
+			this._map.set(/\d{1,2}/, 'j');
+			this._map.set(/\d{2}/, 'd');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'jS');
+			this._map.set(/^0\d(?:st|nd|rd|th)$/, 'dS');
+			this._map.set(/^ \d$/, ' j');
+		} else if (format === 'go') {
+			this._map.set(/\d{1,2}/, '2');
+			this._map.set(/\d{2}/, '02');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^ \d$/, '_2');
+		} else if (format === 'postgres') {
+			this._map.set(/\d{1,2}/, 'FMDD');
+			this._map.set(/\d{2}/, 'DD');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'FMDDth');
+			this._map.set(/^\d{2}(?:st|nd|rd|th)$/, 'DDth');
+			this._map.set(/^ \d$/, ' FMDD');
+		} else if (format === 'mysql') {
+			this._map.set(/\d{1,2}/, '%e');
+			this._map.set(/\d{2}/, '%d');
+			// "%D" doesn't pad the day
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, '%D');
+			this._map.set(/^0\d(?:st|nd|rd|th)$/, 'NA');
+			this._map.set(/^ \d$/, ' %e');
+		} else if (format === 'oracle') {
+			this._map.set(/\d{1,2}/, 'FMDDFM');
+			this._map.set(/\d{2}/, 'DD');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'FMDDthFM');
+			this._map.set(/^\d{2}(?:st|nd|rd|th)$/, 'DDth');
+			this._map.set(/^ \d$/, ' FMDDFM');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/\d{1,2}/, 'DD');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^ \d$/, ' DD');
+		} else if (format === 'excel') {
+			this._map.set(/\d{1,2}/, 'd');
+			this._map.set(/\d{2}/, 'dd');
+			// The suffix is displayed as literal text
+			['st', 'nd', 'rd', 'th'].forEach(suffix => {
+				this._map.set(new RegExp(`^\\d{1,2}${suffix}$`), `d"${suffix}"`);
+				this._map.set(new RegExp(`^\\d{2}${suffix}$`), `dd"${suffix}"`);
+			});
+			this._map.set(/^ \d$/, ' d');
+		} else if (format === 'chrono') {
+			this._map.set(/\d{1,2}/, '%-d');
+			this._map.set(/\d{2}/, '%d');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^ \d$/, '%e');
+		} else if (format === 'bigquery') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{2}/, '%d');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^ \d$/, '%e');
 		} else {
 			this._map.set(/\d{1,2}/, '%-e');
 			this._map.set(/\d{2}/, '%d');
 			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, '%o');
+			this._map.set(/^ \d$/, '%e');
 		}
 	}
 
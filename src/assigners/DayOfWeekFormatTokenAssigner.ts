@@ -22,6 +22,101 @@ class DayOfWeekFormatTokenAssigner implements IAssigner {
 			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'dd');
 			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'ddd');
 			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'dddd');
+		} else if (format === 'luxon') {
+			// Luxon numbers weekdays 1-7 from Monday, so Sunday-based values can't be expressed
+			this._map.set(/[0-6]/, 'NA');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'EEE');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'EEEE');
+		} else if (format === 'ldml') {
+			// Local day of week numbering depends on the locale's first day of week
+			this._map.set(/[0-6]/, 'NA');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'EEEEEE');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'EEE');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'EEEE');
+		} else if (format === 'dayjs') {
+			this._map.set(/[0-6]/, 'd');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'dd');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'ddd');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'dddd');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/[0-6]/, 'NA');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'EEE');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'EEEE');
+		} else if (format === 'python') {
+			this._map.set(/[0-6]/, '%w');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, '%w');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, '%a');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, '%A');
+		} else if (format === 'dotnet') {
+			this._map.set(/[0-6]/, 'NA');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'ddd');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'dddd');
+		} else if (format === 'php') {
+			this._map.set(/[0-6]/, 'w');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'D');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'l');
+		} else if (format === 'go') {
+			this._map.set(/[0-6]/, 'NA');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'Mon');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'Monday');
+		} else if (format === 'postgres') {
+			// "D" counts from 1 for Sunday
+			this._map.set(/[0-6]/, 'NA');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'Dy');
+			// "Day" is blank padded to 9 characters
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'FMDay');
+		} else if (format === 'mysql') {
+			this._map.set(/[0-6]/, '%w');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, '%a');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, '%W');
+		} else if (format === 'oracle') {
+			// "D" depends on NLS_TERRITORY
+			this._map.set(/[0-6]/, 'NA');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'Dy');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'FMDayFM');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/[0-6]/, 'NA');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'DY');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'NA');
+		} else if (format === 'excel') {
+			this._map.set(/[0-6]/, 'NA');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, 'ddd');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, 'dddd');
+		} else if (format === 'chrono') {
+			this._map.set(/[0-6]/, '%w');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, '%a');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, '%A');
+		} else if (format === 'bigquery') {
+			this._map.set(/[0-6]/, '%w');
+			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
+			this._map.set(/(?:Su|Mo|Tu|We|Th|Fr|Sa)/, 'NA');
+			this._map.set(/(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)/, '%a');
+			this._map.set(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday)/, '%A');
 		} else {
 			this._map.set(/[0-6]/, '%w');
 			this._map.set(/[0-6](?:st|nd|rd|th)/, 'NA');
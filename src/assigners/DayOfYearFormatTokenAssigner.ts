@@ -20,6 +20,66 @@ class DayOfYearFormatTokenAssigner implements IAssigner {
 			this._map.set(/\d{1,3}/, 'DDD');
 			this._map.set(/\d{3}/, 'DDDD');
 			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'DDDo');
+		} else if (format === 'luxon') {
+			this._map.set(/\d{1,3}/, 'o');
+			this._map.set(/\d{3}/, 'ooo');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'ldml') {
+			this._map.set(/\d{1,3}/, 'D');
+			this._map.set(/\d{3}/, 'DDD');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'Do');
+		} else if (format === 'dayjs') {
+			// Day.js exposes the day of year through the dayOfYear plugin, not through format tokens
+			this._map.set(/\d{1,3}/, 'NA');
+			this._map.set(/\d{3}/, 'NA');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/\d{1,3}/, 'D');
+			this._map.set(/\d{3}/, 'DDD');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'python') {
+			this._map.set(/\d{1,3}/, '%j');
+			this._map.set(/\d{3}/, '%j');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, '%j');
+		} else if (format === 'dotnet') {
+			this._map.set(/\d{1,3}/, 'NA');
+			this._map.set(/\d{3}/, 'NA');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'php') {
+			this._map.set(/\d{1,3}/, 'z');
+			this._map.set(/\d{3}/, 'z');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'go') {
+			this._map.set(/\d{1,3}/, 'NA');
+			this._map.set(/\d{3}/, '002');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'postgres') {
+			this._map.set(/\d{1,3}/, 'FMDDD');
+			this._map.set(/\d{3}/, 'DDD');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'FMDDDth');
+			this._map.set(/^\d{3}(?:st|nd|rd|th)$/, 'DDDth');
+		} else if (format === 'mysql') {
+			this._map.set(/\d{1,3}/, '%j');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'oracle') {
+			this._map.set(/\d{1,3}/, 'FMDDDFM');
+			this._map.set(/\d{3}/, 'DDD');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'FMDDDthFM');
+			this._map.set(/^\d{3}(?:st|nd|rd|th)$/, 'DDDth');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/\d{1,3}/, 'NA');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'excel') {
+			this._map.set(/\d{1,3}/, 'NA');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'chrono') {
+			this._map.set(/\d{1,3}/, '%-j');
+			this._map.set(/\d{3}/, '%j');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'bigquery') {
+			this._map.set(/\d{1,3}/, 'NA');
+			this._map.set(/\d{3}/, '%j');
+			this._map.set(/\d{1,3}(?:st|nd|rd|th)/, 'NA');
 		} else {
 			this._map.set(/\d{1,3}/, 'NA');
 			this._map.set(/\d{3}/, '%j');
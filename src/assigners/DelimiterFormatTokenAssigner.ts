@@ -8,13 +8,70 @@ class DelimiterFormatTokenAssigner implements IAssigner {
 	public readonly type: string;
 	public readonly format?: string;
 
+	// Delimiters that would be read as format tokens and need quoting
+	private _reserved?: RegExp;
+
 	constructor(name: string, type: string, format?: string) {
 		this.name = name;
 		this.format = format;
 		this.type = type;
+
+		if (format === 'luxon' || format === 'ldml' || format === 'java:legacy') {
+			this._reserved = /[a-zA-Z]/;
+		} else if (format === 'java') {
+			// Brackets delimit optional sections, "#", "{" and "}" are reserved
+			this._reserved = /[a-zA-Z[\]#{}]/;
+		} else if (format === 'dotnet') {
+			// "/" and ":" stand for the culture's date and time separators
+			this._reserved = /[a-zA-Z/:%\\"]/;
+		} else if (format === 'php') {
+			// createFromFormat also gives meaning to some punctuation
+			this._reserved = /[a-zA-Z\\#?*!|+]/;
+		} else if (format === 'postgres') {
+			// A letter could run into the pattern next to it, "DDTHH24" reads as "DDTH" "H24"
+			this._reserved = /[a-zA-Z"\\]/;
+		} else if (format === 'oracle' || format === 'oracle:snowflake') {
+			// Only some punctuation is allowed outside of quotes
+			this._reserved = /[^-/,.;:\s]/;
+		} else if (format === 'excel') {
+			// Characters other than these are only displayed inside quotes
+			this._reserved = /[^-$+/():!^&'~{}<>=\s,.]/;
+		} else if (
+			format === 'mysql'
+			|| format === 'chrono'
+			|| format === 'bigquery'
+			|| format === 'python'
+			|| format === 'strftime'
+		) {
+			this._reserved = /%/;
+		}
 	}
 
-	public assign(token: Token): void { /* noop */ }
+	private _testTokenType(token: Token): boolean {
+		return token.type === this.type;
+	}
+
+	public assign(token: Token): void {
+		if (this._testTokenType(token) && this._reserved && this._reserved.test(token.value)) {
+			if (this.format === 'php') {
+				token.format = token.value.replace(/./g, '\\$&');
+			} else if (this.format === 'oracle' || this.format === 'oracle:snowflake' || this.format === 'excel') {
+				token.format = `"${token.value}"`;
+			} else if (this.format === 'postgres') {
+				token.format = `"${token.value.replace(/["\\]/g, '\\$&')}"`;
+			} else if (
+				this.format === 'mysql'
+				|| this.format === 'chrono'
+				|| this.format === 'bigquery'
+				|| this.format === 'python'
+				|| this.format === 'strftime'
+			) {
+				token.format = token.value.replace(/%/g, '%%');
+			} else {
+				token.format = `'${token.value}'`;
+			}
+		}
+	}
 }
 
 export default DelimiterFormatTokenAssigner;
@@ -0,0 +1,56 @@
+import Token from '../parsers/Token';
+import {
+	IAssigner,
+} from '../types';
+
+class EpochFormatTokenAssigner implements IAssigner {
+	public readonly name: string;
+	public readonly type: string;
+	public readonly format?: string;
+
+	private _map: Map<RegExp, string>;
+
+	constructor(name: string, type: string, format?: string) {
+		this.name = name;
+		this.type = type;
+		this.format = format;
+		this._map = new Map();
+
+		// Most formats have no token for epoch timestamps
+		this._map.set(/^\d+(?:\.\d+)?$/, 'NA');
+
+		if (!format || format === 'default') {
+			// Both take a fraction
+			this._map.set(/^\d{10}(?:\.\d{1,9})?$/, 'X');
+			this._map.set(/^\d{13}(?:\.\d{1,9})?$/, 'x');
+		} else if (format === 'luxon') {
+			this._map.set(/^\d{10}$/, 'X');
+			this._map.set(/^\d{13}$/, 'x');
+		} else if (format === 'ldml') {
+			this._map.set(/^\d{10}$/, 't');
+			this._map.set(/^\d{13}$/, 'T');
+		} else if (format === 'dayjs') {
+			this._map.set(/^\d{10}(?:\.\d{1,3})?$/, 'X');
+			this._map.set(/^\d{13}$/, 'x');
+		} else if (format === 'php') {
+			this._map.set(/^\d{10}$/, 'U');
+			this._map.set(/^\d{10}\.\d{1,6}$/, 'U.u');
+		} else if (format === 'strftime' || format === 'chrono' || format === 'bigquery') {
+			this._map.set(/^\d{10}$/, '%s');
+		}
+	}
+
+	private _testTokenType(token: Token): boolean {
+		return token.type === this.type;
+	}
+
+	public assign(token: Token): void {
+		this._map.forEach((formatToken, pattern) => {
+			if (this._testTokenType(token) && pattern.test(token.value)) {
+				token.format = formatToken;
+			}
+		});
+	}
+}
+
+export default EpochFormatTokenAssigner;
@@ -19,8 +19,30 @@ class EscapeTextFormatTokenAssigner implements IAssigner {
 	}
 
 	public assign(token: Token): void {
-		if (this._testTokenType(token)) {
-			token.format = (!this.format || this.format === 'default') ? `[${token.value}]` : token.value;
+		if (!this._testTokenType(token)) {
+			return;
+		}
+		if (!this.format || this.format === 'default' || this.format === 'dayjs') {
+			token.format = `[${token.value}]`;
+		} else if (
+			this.format === 'luxon'
+			|| this.format === 'ldml'
+			|| this.format === 'java'
+			|| this.format === 'java:legacy'
+			|| this.format === 'dotnet'
+		) {
+			token.format = `'${token.value}'`;
+		} else if (this.format === 'php') {
+			token.format = token.value.replace(/./g, '\\$&');
+		} else if (
+			this.format === 'postgres'
+			|| this.format === 'oracle'
+			|| this.format === 'oracle:snowflake'
+			|| this.format === 'excel'
+		) {
+			token.format = `"${token.value}"`;
+		} else {
+			token.format = token.value;
 		}
 	}
 }
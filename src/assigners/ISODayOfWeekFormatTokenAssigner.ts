@@ -16,8 +16,37 @@ class ISODayOfWeekFormatTokenAssigner implements IAssigner {
 		this.format = format;
 		this._map = new Map();
 
-		if (!format || format === 'default') {
+		if (!format || format === 'default' || format === 'luxon') {
 			this._map.set(/[1-7]/, 'E');
+		} else if (format === 'ldml') {
+			this._map.set(/[1-7]/, 'i');
+		} else if (format === 'dayjs') {
+			this._map.set(/[1-7]/, 'NA');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/[1-7]/, format === 'java' ? 'e' : 'u');
+		} else if (format === 'python') {
+			this._map.set(/[1-7]/, '%u');
+		} else if (format === 'dotnet') {
+			this._map.set(/[1-7]/, 'NA');
+		} else if (format === 'php') {
+			this._map.set(/[1-7]/, 'N');
+		} else if (format === 'go') {
+			this._map.set(/[1-7]/, 'NA');
+		} else if (format === 'postgres') {
+			this._map.set(/[1-7]/, 'ID');
+		} else if (format === 'mysql') {
+			// "%w" counts from 0 for Sunday
+			this._map.set(/[1-7]/, 'NA');
+		} else if (format === 'oracle') {
+			this._map.set(/[1-7]/, 'NA');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/[1-7]/, 'NA');
+		} else if (format === 'excel') {
+			this._map.set(/[1-7]/, 'NA');
+		} else if (format === 'chrono') {
+			this._map.set(/[1-7]/, '%u');
+		} else if (format === 'bigquery') {
+			this._map.set(/[1-7]/, '%u');
 		} else {
 			this._map.set(/[1-7]/, '%u');
 		}
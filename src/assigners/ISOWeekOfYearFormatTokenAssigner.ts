@@ -16,10 +16,65 @@ class ISOWeekOfYearFormatTokenAssigner implements IAssigner {
 		this.format = format;
 		this._map = new Map();
 
-		if (!format || format === 'default') {
+		if (!format || format === 'default' || format === 'dayjs') {
 			this._map.set(/\d{1,2}/, 'W');
 			this._map.set(/\d{2}/, 'WW');
 			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'Wo');
+		} else if (format === 'luxon') {
+			this._map.set(/\d{1,2}/, 'W');
+			this._map.set(/\d{2}/, 'WW');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'ldml') {
+			this._map.set(/\d{1,2}/, 'I');
+			this._map.set(/\d{2}/, 'II');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'Io');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/\d{1,2}/, 'w');
+			this._map.set(/\d{2}/, 'ww');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'python') {
+			this._map.set(/\d{1,2}/, '%V');
+			this._map.set(/\d{2}/, '%V');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, '%V');
+		} else if (format === 'dotnet') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'php') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{2}/, 'W');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'go') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'postgres') {
+			this._map.set(/\d{1,2}/, 'FMIW');
+			this._map.set(/\d{2}/, 'IW');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'FMIWth');
+			this._map.set(/^\d{2}(?:st|nd|rd|th)$/, 'IWth');
+		} else if (format === 'mysql') {
+			this._map.set(/\d{1,2}/, '%v');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'oracle') {
+			this._map.set(/\d{1,2}/, 'FMIWFM');
+			this._map.set(/\d{2}/, 'IW');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'FMIWthFM');
+			this._map.set(/^\d{2}(?:st|nd|rd|th)$/, 'IWth');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'excel') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'chrono') {
+			this._map.set(/\d{1,2}/, '%-V');
+			this._map.set(/\d{2}/, '%V');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+		} else if (format === 'bigquery') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{2}/, '%V');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
 		} else {
 			this._map.set(/\d{1,2}/, 'NA');
 			this._map.set(/\d{2}/, '%U');
@@ -0,0 +1,106 @@
+import Token from '../parsers/Token';
+import {
+	IAssigner,
+} from '../types';
+
+class ISOWeekYearFormatTokenAssigner implements IAssigner {
+	public readonly name: string;
+	public readonly type: string;
+	public readonly format?: string;
+
+	private _map: Map<RegExp, string>;
+
+	constructor(name: string, type: string, format?: string) {
+		this.name = name;
+		this.type = type;
+		this.format = format;
+		this._map = new Map();
+
+		if (!format || format === 'default') {
+			this._map.set(/\d{2}/, 'YY');
+			this._map.set(/\d{4}/, 'YYYY');
+			this._map.set(/[+-]\d{6}/, 'YYYYYY');
+		} else if (format === 'luxon') {
+			this._map.set(/\d{2}/, 'kk');
+			this._map.set(/\d{4}/, 'kkkk');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'ldml') {
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{4}/, 'RRRR');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'dayjs') {
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{4}/, 'GGGG');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/\d{2}/, 'YY');
+			this._map.set(/\d{4}/, 'YYYY');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'python') {
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{4}/, '%G');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'dotnet') {
+			// .NET has no week based specifiers
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{4}/, 'NA');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'php') {
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{4}/, 'o');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'go') {
+			// Go has no week based layout elements
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{4}/, 'NA');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'postgres') {
+			this._map.set(/\d{2}/, 'IY');
+			this._map.set(/\d{4}/, 'IYYY');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'mysql') {
+			// "%x" is the year of "%v"
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{4}/, '%x');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'oracle') {
+			this._map.set(/\d{2}/, 'IY');
+			this._map.set(/\d{4}/, 'IYYY');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{4}/, 'NA');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'excel') {
+			this._map.set(/\d{2}/, 'NA');
+			this._map.set(/\d{4}/, 'NA');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'chrono') {
+			this._map.set(/\d{2}/, '%g');
+			this._map.set(/\d{4}/, '%G');
+			this._map.set(/[+-]\d{6}/, '%G');
+		} else if (format === 'bigquery') {
+			this._map.set(/\d{2}/, '%g');
+			this._map.set(/\d{4}/, '%G');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else {
+			this._map.set(/\d{2}/, '%y');
+			this._map.set(/\d{4}/, '%Y');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		}
+	}
+
+	private _testTokenType(token: Token): boolean {
+		return token.type === this.type;
+	}
+
+	public assign(token: Token): void {
+		this._map.forEach((formatToken, pattern) => {
+			if (this._testTokenType(token) && pattern.test(token.value)) {
+				token.format = formatToken;
+			}
+		});
+	}
+}
+
+export default ISOWeekYearFormatTokenAssigner;
@@ -16,9 +16,52 @@ class MeridiemFormatTokenAssigner implements IAssigner {
 		this.format = format;
 		this._map = new Map();
 
-		if (!format || format === 'default') {
+		if (!format || format === 'default' || format === 'dayjs') {
 			this._map.set(/am|pm/, 'a');
 			this._map.set(/AM|PM/, 'A');
+		} else if (format === 'luxon') {
+			// Luxon matches meridiems case-insensitively
+			this._map.set(/am|pm/, 'a');
+			this._map.set(/AM|PM/, 'a');
+		} else if (format === 'ldml') {
+			this._map.set(/am|pm/, 'aaa');
+			this._map.set(/AM|PM/, 'a');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/am|pm/, 'a');
+			this._map.set(/AM|PM/, 'a');
+		} else if (format === 'python') {
+			// strptime matches %p case-insensitively
+			this._map.set(/am|pm/, '%p');
+			this._map.set(/AM|PM/, '%p');
+		} else if (format === 'dotnet') {
+			this._map.set(/am|pm/, 'tt');
+			this._map.set(/AM|PM/, 'tt');
+		} else if (format === 'php') {
+			this._map.set(/am|pm/, 'a');
+			this._map.set(/AM|PM/, 'A');
+		} else if (format === 'go') {
+			this._map.set(/am|pm/, 'pm');
+			this._map.set(/AM|PM/, 'PM');
+		} else if (format === 'postgres') {
+			this._map.set(/am|pm/, 'am');
+			this._map.set(/AM|PM/, 'AM');
+		} else if (format === 'mysql') {
+			// STR_TO_DATE reads the meridiem in either case
+			this._map.set(/am|pm|AM|PM/, '%p');
+		} else if (format === 'oracle') {
+			this._map.set(/am|pm/, 'am');
+			this._map.set(/AM|PM/, 'AM');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/am|pm|AM|PM/, 'AM');
+		} else if (format === 'excel') {
+			this._map.set(/am|pm/, 'am/pm');
+			this._map.set(/AM|PM/, 'AM/PM');
+		} else if (format === 'chrono') {
+			this._map.set(/am|pm/, '%P');
+			this._map.set(/AM|PM/, '%p');
+		} else if (format === 'bigquery') {
+			this._map.set(/am|pm/, '%P');
+			this._map.set(/AM|PM/, '%p');
 		} else {
 			this._map.set(/am|pm/, '%P');
 			this._map.set(/AM|PM/, '%p');
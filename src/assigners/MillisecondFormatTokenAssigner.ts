@@ -17,13 +17,100 @@ class MillisecondFormatTokenAssigner implements IAssigner {
 		this._map = new Map();
 
 		if (!format || format === 'default') {
-			this._map.set(/\d/, 'S');
-			this._map.set(/\d{2}/, 'SS');
-			this._map.set(/\d{3}/, 'SSS');
+			// One "S" per digit of the fraction, moment keeps millisecond precision
+			// but reads and writes up to nine digits
+			for (let digits = 1; digits <= 9; digits++) {
+				this._map.set(new RegExp(`^\\d{${digits}}$`), 'S'.repeat(digits));
+			}
+		} else if (format === 'luxon') {
+			// "S" reads digits as milliseconds, the "u" family reads them as a fraction
+			this._map.set(/^\d$/, 'uuu');
+			this._map.set(/^\d{2}$/, 'uu');
+			this._map.set(/^\d{3}$/, 'SSS');
+			this._map.set(/^\d{4,9}$/, 'u');
+		} else if (format === 'ldml') {
+			// One "S" per digit of the fraction
+			for (let digits = 1; digits <= 9; digits++) {
+				this._map.set(new RegExp(`^\\d{${digits}}$`), 'S'.repeat(digits));
+			}
+		} else if (format === 'dayjs') {
+			// Day.js keeps millisecond precision only
+			this._map.set(/^\d$/, 'S');
+			this._map.set(/^\d{2}$/, 'SS');
+			this._map.set(/^\d{3}$/, 'SSS');
+			this._map.set(/^\d{4,9}$/, 'NA');
+		} else if (format === 'java') {
+			// One "S" per digit of the fraction
+			for (let digits = 1; digits <= 9; digits++) {
+				this._map.set(new RegExp(`^\\d{${digits}}$`), 'S'.repeat(digits));
+			}
+		} else if (format === 'java:legacy') {
+			// SimpleDateFormat reads "S" as a count of milliseconds, not as a fraction
+			this._map.set(/^\d{1,2}$/, 'NA');
+			this._map.set(/^\d{3}$/, 'SSS');
+			this._map.set(/^\d{4,9}$/, 'NA');
+		} else if (format === 'python') {
+			// %f takes up to microseconds
+			this._map.set(/^\d{1,6}$/, '%f');
+			this._map.set(/^\d{7,9}$/, 'NA');
+		} else if (format === 'dotnet') {
+			// One "f" per digit of the fraction, up to ticks
+			for (let digits = 1; digits <= 7; digits++) {
+				this._map.set(new RegExp(`^\\d{${digits}}$`), 'f'.repeat(digits));
+			}
+			this._map.set(/^\d{8,9}$/, 'NA');
+		} else if (format === 'php') {
+			// "v" is exactly three digits, "u" up to six
+			this._map.set(/^\d{1,6}$/, 'u');
+			this._map.set(/^\d{3}$/, 'v');
+			this._map.set(/^\d{7,9}$/, 'NA');
+		} else if (format === 'go') {
+			// Along with the preceding "." or "," this is Go's fractional second element
+			for (let digits = 1; digits <= 9; digits++) {
+				this._map.set(new RegExp(`^\\d{${digits}}$`), '0'.repeat(digits));
+			}
+		} else if (format === 'postgres') {
+			this._map.set(/^\d{1,6}$/, 'NA');
+			this._map.set(/^\d$/, 'FF1');
+			this._map.set(/^\d{2}$/, 'FF2');
+			this._map.set(/^\d{3}$/, 'MS');
+			this._map.set(/^\d{4}$/, 'FF4');
+			this._map.set(/^\d{5}$/, 'FF5');
+			this._map.set(/^\d{6}$/, 'US');
+			this._map.set(/^\d{7,9}$/, 'NA');
+		} else if (format === 'mysql') {
+			// STR_TO_DATE reads up to six digits
+			this._map.set(/^\d{1,6}$/, '%f');
+			this._map.set(/^\d{7,9}$/, 'NA');
+		} else if (format === 'oracle') {
+			for (let digits = 1; digits <= 9; digits++) {
+				this._map.set(new RegExp(`^\\d{${digits}}$`), `FF${digits}`);
+			}
+		} else if (format === 'oracle:snowflake') {
+			for (let digits = 1; digits <= 9; digits++) {
+				this._map.set(new RegExp(`^\\d{${digits}}$`), `FF${digits}`);
+			}
+		} else if (format === 'excel') {
+			// Along with the preceding "." these are decimal places of the second
+			this._map.set(/^\d$/, '0');
+			this._map.set(/^\d{2}$/, '00');
+			this._map.set(/^\d{3}$/, '000');
+			this._map.set(/^\d{4,9}$/, 'NA');
+		} else if (format === 'chrono') {
+			// Fixed widths without the leading dot, which is kept as a delimiter
+			this._map.set(/^\d{1,9}$/, 'NA');
+			this._map.set(/^\d{3}$/, '%3f');
+			this._map.set(/^\d{6}$/, '%6f');
+			this._map.set(/^\d{9}$/, '%9f');
+		} else if (format === 'bigquery') {
+			// Stand-ins for the seconds element they are merged into, see bigquery.ts
+			this._map.set(/^\d{1,9}$/, '%E*S');
+			this._map.set(/^\d{3}$/, '%E3S');
 		} else {
-			this._map.set(/\d/, 'NA');
-			this._map.set(/\d{2}/, 'NA');
-			this._map.set(/\d{3}/, '%L');
+			// "%L" is the only directive for a fraction, finer ones are cut to
+			// milliseconds, see StrftimeReporter
+			this._map.set(/^\d{1,9}$/, 'NA');
+			this._map.set(/^\d{3,9}$/, '%L');
 		}
 	}
 
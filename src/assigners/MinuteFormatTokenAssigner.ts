@@ -16,9 +16,47 @@ class MinuteFormatTokenAssigner implements IAssigner {
 		this.format = format;
 		this._map = new Map();
 
-		if (!format || format === 'default') {
+		if (!format || format === 'default' || format === 'luxon' || format === 'dayjs') {
 			this._map.set(/\d{1,2}/, 'm');
 			this._map.set(/\d{2}/, 'mm');
+		} else if (format === 'ldml') {
+			this._map.set(/\d{1,2}/, 'm');
+			this._map.set(/\d{2}/, 'mm');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/\d{1,2}/, 'm');
+			this._map.set(/\d{2}/, 'mm');
+		} else if (format === 'python') {
+			this._map.set(/\d{1,2}/, '%M');
+			this._map.set(/\d{2}/, '%M');
+		} else if (format === 'dotnet') {
+			this._map.set(/\d{1,2}/, 'm');
+			this._map.set(/\d{2}/, 'mm');
+		} else if (format === 'php') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{2}/, 'i');
+		} else if (format === 'go') {
+			this._map.set(/\d{1,2}/, '4');
+			this._map.set(/\d{2}/, '04');
+		} else if (format === 'postgres') {
+			this._map.set(/\d{1,2}/, 'FMMI');
+			this._map.set(/\d{2}/, 'MI');
+		} else if (format === 'mysql') {
+			this._map.set(/\d{1,2}/, '%i');
+		} else if (format === 'oracle') {
+			this._map.set(/\d{1,2}/, 'FMMIFM');
+			this._map.set(/\d{2}/, 'MI');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/\d{1,2}/, 'MI');
+		} else if (format === 'excel') {
+			// Read as minutes, not months, next to hours or seconds
+			this._map.set(/\d{1,2}/, 'm');
+			this._map.set(/\d{2}/, 'mm');
+		} else if (format === 'chrono') {
+			this._map.set(/\d{1,2}/, '%-M');
+			this._map.set(/\d{2}/, '%M');
+		} else if (format === 'bigquery') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{2}/, '%M');
 		} else {
 			this._map.set(/\d{1,2}/, 'NA');
 			this._map.set(/\d{2}/, '%M');
@@ -22,6 +22,106 @@ class MonthFormatTokenAssigner implements IAssigner {
 			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'Mo');
 			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'MMM');
 			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'MMMM');
+		} else if (format === 'luxon') {
+			this._map.set(/\d{1,2}/, 'L');
+			this._map.set(/\d{2}/, 'LL');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'LLL');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'LLLL');
+		} else if (format === 'ldml') {
+			this._map.set(/\d{1,2}/, 'M');
+			this._map.set(/\d{2}/, 'MM');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'Mo');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'MMM');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'MMMM');
+		} else if (format === 'dayjs') {
+			this._map.set(/\d{1,2}/, 'M');
+			this._map.set(/\d{2}/, 'MM');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'MMM');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'MMMM');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/\d{1,2}/, 'M');
+			this._map.set(/\d{2}/, 'MM');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'MMM');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'MMMM');
+		} else if (format === 'python') {
+			// strptime accepts unpadded numbers for padded directives, ordinal suffixes are reported
+			this._map.set(/\d{1,2}/, '%m');
+			this._map.set(/\d{2}/, '%m');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, '%m');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, '%b');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, '%B');
+		} else if (format === 'dotnet') {
+			this._map.set(/\d{1,2}/, 'M');
+			this._map.set(/\d{2}/, 'MM');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'M');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'MMM');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'MMMM');
+		} else if (format === 'php') {
+			this._map.set(/\d{1,2}/, 'n');
+			this._map.set(/\d{2}/, 'm');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'M');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'F');
+		} else if (format === 'go') {
+			this._map.set(/\d{1,2}/, '1');
+			this._map.set(/\d{2}/, '01');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'Jan');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'January');
+		} else if (format === 'postgres') {
+			this._map.set(/\d{1,2}/, 'FMMM');
+			this._map.set(/\d{2}/, 'MM');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'FMMMth');
+			this._map.set(/^\d{2}(?:st|nd|rd|th)$/, 'MMth');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'Mon');
+			// "Month" is blank padded to 9 characters
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'FMMonth');
+		} else if (format === 'mysql') {
+			this._map.set(/\d{1,2}/, '%c');
+			this._map.set(/\d{2}/, '%m');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, '%b');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, '%M');
+		} else if (format === 'oracle') {
+			// "FM" toggles fill mode, so it's turned off again after the element
+			this._map.set(/\d{1,2}/, 'FMMMFM');
+			this._map.set(/\d{2}/, 'MM');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'FMMMthFM');
+			this._map.set(/^\d{2}(?:st|nd|rd|th)$/, 'MMth');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'Mon');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'FMMonthFM');
+		} else if (format === 'oracle:snowflake') {
+			// Leading zeros are optional when parsing
+			this._map.set(/\d{1,2}/, 'MM');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'MON');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'MMMM');
+		} else if (format === 'excel') {
+			this._map.set(/\d{1,2}/, 'm');
+			this._map.set(/\d{2}/, 'mm');
+			// The suffix is displayed as literal text
+			['st', 'nd', 'rd', 'th'].forEach(suffix => {
+				this._map.set(new RegExp(`^\\d{1,2}${suffix}$`), `m"${suffix}"`);
+				this._map.set(new RegExp(`^\\d{2}${suffix}$`), `mm"${suffix}"`);
+			});
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, 'mmm');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, 'mmmm');
+		} else if (format === 'chrono') {
+			this._map.set(/\d{1,2}/, '%-m');
+			this._map.set(/\d{2}/, '%m');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, '%b');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, '%B');
+		} else if (format === 'bigquery') {
+			// No flags for unpadded values
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{2}/, '%m');
+			this._map.set(/\d{1,2}(?:st|nd|rd|th)/, 'NA');
+			this._map.set(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/, '%b');
+			this._map.set(/^(January|February|March|April|May|June|July|August|September|October|November|December)$/, '%B');
 		} else {
 			this._map.set(/\d{1,2}/, 'NA');
 			this._map.set(/\d{2}/, '%m');
@@ -16,9 +16,46 @@ class SecondFormatTokenAssigner implements IAssigner {
 		this.format = format;
 		this._map = new Map();
 
-		if (!format || format === 'default') {
+		if (!format || format === 'default' || format === 'luxon' || format === 'dayjs') {
 			this._map.set(/\d{1,2}/, 's');
 			this._map.set(/\d{2}/, 'ss');
+		} else if (format === 'ldml') {
+			this._map.set(/\d{1,2}/, 's');
+			this._map.set(/\d{2}/, 'ss');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/\d{1,2}/, 's');
+			this._map.set(/\d{2}/, 'ss');
+		} else if (format === 'python') {
+			this._map.set(/\d{1,2}/, '%S');
+			this._map.set(/\d{2}/, '%S');
+		} else if (format === 'dotnet') {
+			this._map.set(/\d{1,2}/, 's');
+			this._map.set(/\d{2}/, 'ss');
+		} else if (format === 'php') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{2}/, 's');
+		} else if (format === 'go') {
+			this._map.set(/\d{1,2}/, '5');
+			this._map.set(/\d{2}/, '05');
+		} else if (format === 'postgres') {
+			this._map.set(/\d{1,2}/, 'FMSS');
+			this._map.set(/\d{2}/, 'SS');
+		} else if (format === 'mysql') {
+			this._map.set(/\d{1,2}/, '%s');
+		} else if (format === 'oracle') {
+			this._map.set(/\d{1,2}/, 'FMSSFM');
+			this._map.set(/\d{2}/, 'SS');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/\d{1,2}/, 'SS');
+		} else if (format === 'excel') {
+			this._map.set(/\d{1,2}/, 's');
+			this._map.set(/\d{2}/, 'ss');
+		} else if (format === 'chrono') {
+			this._map.set(/\d{1,2}/, '%-S');
+			this._map.set(/\d{2}/, '%S');
+		} else if (format === 'bigquery') {
+			this._map.set(/\d{1,2}/, 'NA');
+			this._map.set(/\d{2}/, '%S');
 		} else {
 			this._map.set(/\d{1,2}/, 'NA');
 			this._map.set(/\d{2}/, '%S');
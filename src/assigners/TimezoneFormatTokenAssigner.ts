@@ -1,4 +1,5 @@
 import Token from '../parsers/Token';
+import EscapeTextFormatTokenAssigner from './EscapeTextFormatTokenAssigner';
 import {
 	IAssigner,
 } from '../types';
@@ -9,12 +10,17 @@ class TimezoneFormatTokenAssigner implements IAssigner {
 	public readonly format?: string;
 
 	private _map: Map<RegExp, string>;
+	// Values the format has no modifier for but keeps as literal text
+	private _literals: Array<RegExp>;
+	private _escapeText: EscapeTextFormatTokenAssigner;
 
 	constructor(name: string, type: string, format?: string) {
 		this.name = name;
 		this.type = type;
 		this.format = format;
 		this._map = new Map();
+		this._literals = [];
+		this._escapeText = new EscapeTextFormatTokenAssigner(name, type, format);
 
 		const abbreviatedTimezoneRegex = new RegExp(
 			'UT|'
@@ -71,6 +77,139 @@ class TimezoneFormatTokenAssigner implements IAssigner {
 
 
 			this._map.set(abbreviatedTimezoneRegex, 'z');
+		} else if (format === 'luxon') {
+			this._map.set(/[+-]\d{2}(?::\d{2})?/, 'ZZ');
+			this._map.set(/[+-]\d{4}/, 'ZZZ');
+
+			// Treat these as escaped text
+			this._map.set(/Z/, "'Z'");
+			this._map.set(/z/, "'z'");
+
+			this._map.set(abbreviatedTimezoneRegex, 'ZZZZ');
+		} else if (format === 'ldml') {
+			// "x" never outputs "Z", so it reproduces explicit offsets such as +00:00
+			this._map.set(/[+-]\d{2}/, 'x');
+			this._map.set(/[+-]\d{2}:\d{2}/, 'xxx');
+			this._map.set(/[+-]\d{4}/, 'xx');
+
+			// "X" outputs "Z" for a zero offset
+			this._map.set(/Z/, 'XXX');
+			this._map.set(/z/, "'z'");
+
+			this._map.set(abbreviatedTimezoneRegex, 'zzz');
+		} else if (format === 'dayjs') {
+			this._map.set(/[+-]\d{2}(?::\d{2})?/, 'Z');
+			this._map.set(/[+-]\d{4}/, 'ZZ');
+
+			// Treat these as escaped text
+			this._map.set(/Z/, '[Z]');
+			this._map.set(/z/, '[z]');
+
+			this._map.set(abbreviatedTimezoneRegex, 'z');
+		} else if (format === 'java' || format === 'java:legacy') {
+			// "X" also accepts "Z" for a zero offset, "Z" is RFC 822's +HHMM
+			this._map.set(/[+-]\d{2}/, 'X');
+			this._map.set(/[+-]\d{2}:\d{2}/, 'XXX');
+			this._map.set(/[+-]\d{4}/, 'Z');
+
+			this._map.set(/Z/, 'XXX');
+			this._map.set(/z/, "'z'");
+
+			this._map.set(abbreviatedTimezoneRegex, 'z');
+		} else if (format === 'python') {
+			// %z needs the minutes, but takes them with or without a colon and also takes "Z"
+			this._map.set(/[+-]\d{2}/, 'NA');
+			this._map.set(/[+-]\d{2}:?\d{2}/, '%z');
+
+			this._map.set(/Z/, '%z');
+			this._map.set(/z/, 'z');
+
+			this._map.set(abbreviatedTimezoneRegex, '%Z');
+		} else if (format === 'dotnet') {
+			// "zzz" parses offsets with or without a colon, "K" also parses "Z"
+			this._map.set(/[+-]\d{2}/, 'zz');
+			this._map.set(/[+-]\d{2}:?\d{2}/, 'zzz');
+
+			this._map.set(/Z/, 'K');
+			this._map.set(/z/, "'z'");
+
+			// There's no abbreviation specifier, reported by DotnetReporter
+			this._literals.push(abbreviatedTimezoneRegex);
+		} else if (format === 'php') {
+			this._map.set(/[+-]\d{2}(?::\d{2})?/, 'P');
+			this._map.set(/[+-]\d{4}/, 'O');
+
+			// "p" formats a zero offset as "Z"
+			this._map.set(/Z/, 'p');
+			this._map.set(/z/, '\\z');
+
+			this._map.set(abbreviatedTimezoneRegex, 'T');
+		} else if (format === 'go') {
+			this._map.set(/[+-]\d{2}/, '-07');
+			this._map.set(/[+-]\d{2}:\d{2}/, '-07:00');
+			this._map.set(/[+-]\d{4}/, '-0700');
+
+			// "Z07:00" stands for "Z" when the offset is zero
+			this._map.set(/Z/, 'Z07:00');
+			this._map.set(/z/, 'z');
+
+			this._map.set(abbreviatedTimezoneRegex, 'MST');
+		} else if (format === 'postgres') {
+			this._map.set(/[+-]\d{2}/, 'TZH');
+			this._map.set(/[+-]\d{2}:\d{2}/, 'TZH:TZM');
+			this._map.set(/[+-]\d{4}/, 'TZHTZM');
+
+			this._map.set(/Z/, 'NA');
+			this._map.set(/z/, 'NA');
+
+			// Can be formatted but not parsed
+			this._map.set(abbreviatedTimezoneRegex, 'TZ');
+		} else if (format === 'mysql') {
+			// There's no timezone directive, the text is kept as it is
+		} else if (format === 'oracle') {
+			this._map.set(/[+-]\d{2}/, 'TZH');
+			this._map.set(/[+-]\d{2}:\d{2}/, 'TZH:TZM');
+			this._map.set(/[+-]\d{4}/, 'TZHTZM');
+
+			this._map.set(/Z/, 'NA');
+			this._map.set(/z/, 'NA');
+
+			this._map.set(abbreviatedTimezoneRegex, 'TZD');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/[+-]\d{2}/, 'TZH');
+			this._map.set(/[+-]\d{2}:\d{2}/, 'TZH:TZM');
+			this._map.set(/[+-]\d{4}/, 'TZHTZM');
+
+			this._map.set(/Z/, 'NA');
+			this._map.set(/z/, 'NA');
+
+			this._map.set(abbreviatedTimezoneRegex, 'NA');
+		} else if (format === 'excel') {
+			// Spreadsheets can't display timezones, reported by ExcelReporter
+			this._literals.push(/[+-]\d{2}(?::?\d{2})?/, /Z/, /z/, abbreviatedTimezoneRegex);
+		} else if (format === 'chrono') {
+			// "%#z" only parses, and takes the offset with or without minutes
+			this._map.set(/[+-]\d{2}/, '%#z');
+			this._map.set(/[+-]\d{2}:\d{2}/, '%:z');
+			this._map.set(/[+-]\d{4}/, '%z');
+
+			// Treat these as escaped text
+			this._map.set(/Z/, 'Z');
+			this._map.set(/z/, 'z');
+
+			// Parsing skips the name without reading it
+			this._map.set(abbreviatedTimezoneRegex, '%Z');
+		} else if (format === 'bigquery') {
+			this._map.set(/[+-]\d{2}/, 'NA');
+			this._map.set(/[+-]\d{2}:\d{2}/, '%Ez');
+			this._map.set(/[+-]\d{4}/, '%z');
+
+			// Treat these as escaped text
+			this._map.set(/Z/, 'Z');
+			this._map.set(/z/, 'z');
+
+			// "%Z" takes time zone names, not abbreviations
+			this._map.set(abbreviatedTimezoneRegex, 'NA');
 		} else {
 			this._map.set(/[+-]\d{2}(?::\d{2})?/, '%:z');
 			this._map.set(/[+-]\d{4}/, '%z');
@@ -93,6 +232,9 @@ class TimezoneFormatTokenAssigner implements IAssigner {
 				token.format = formatToken;
 			}
 		});
+		if (this._testTokenType(token) && this._literals.some(pattern => pattern.test(token.value))) {
+			this._escapeText.assign(token);
+		}
 	}
 }
 
@@ -0,0 +1,49 @@
+import Token from '../parsers/Token';
+import {
+	IAssigner,
+} from '../types';
+
+class TimezoneIdFormatTokenAssigner implements IAssigner {
+	public readonly name: string;
+	public readonly type: string;
+	public readonly format?: string;
+
+	private _map: Map<RegExp, string>;
+
+	constructor(name: string, type: string, format?: string) {
+		this.name = name;
+		this.type = type;
+		this.format = format;
+		this._map = new Map();
+
+		const timezoneIdRegex = /^[A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)*$/;
+
+		if (format === 'luxon') {
+			this._map.set(timezoneIdRegex, 'z');
+		} else if (format === 'java') {
+			this._map.set(timezoneIdRegex, 'VV');
+		} else if (format === 'php') {
+			this._map.set(timezoneIdRegex, 'e');
+		} else if (format === 'oracle') {
+			this._map.set(timezoneIdRegex, 'TZR');
+		} else if (format === 'bigquery') {
+			this._map.set(timezoneIdRegex, '%Z');
+		} else {
+			this._map.set(timezoneIdRegex, 'NA');
+		}
+	}
+
+	private _testTokenType(token: Token): boolean {
+		return token.type === this.type;
+	}
+
+	public assign(token: Token): void {
+		this._map.forEach((formatToken, pattern) => {
+			if (this._testTokenType(token) && pattern.test(token.value)) {
+				token.format = formatToken;
+			}
+		});
+	}
+}
+
+export default TimezoneIdFormatTokenAssigner;
@@ -0,0 +1,21 @@
+import Token from '../parsers/Token';
+import EscapeTextFormatTokenAssigner from './EscapeTextFormatTokenAssigner';
+
+/**
+ * Long timezone names such as "India Standard Time" are escaped text, except
+ * for the formats that can read them
+ */
+class TimezoneNameFormatTokenAssigner extends EscapeTextFormatTokenAssigner {
+	public assign(token: Token): void {
+		if (token.type !== this.type) {
+			return;
+		}
+		if (this.format === 'java' || this.format === 'java:legacy') {
+			token.format = 'zzzz';
+		} else {
+			super.assign(token);
+		}
+	}
+}
+
+export default TimezoneNameFormatTokenAssigner;
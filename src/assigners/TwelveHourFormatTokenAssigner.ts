@@ -16,9 +16,48 @@ class TwelveHourFormatTokenAssigner implements IAssigner {
 		this.format = format;
 		this._map = new Map();
 
-		if (!format || format === 'default') {
+		if (!format || format === 'default' || format === 'luxon' || format === 'dayjs') {
 			this._map.set(/^([1-9]|1[0-2])$/, 'h');
 			this._map.set(/^(0\d|1[0-2])$/, 'hh');
+		} else if (format === 'ldml') {
+			this._map.set(/^([1-9]|1[0-2])$/, 'h');
+			this._map.set(/^(0\d|1[0-2])$/, 'hh');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/^([1-9]|1[0-2])$/, 'h');
+			this._map.set(/^(0\d|1[0-2])$/, 'hh');
+		} else if (format === 'python') {
+			this._map.set(/^([1-9]|1[0-2])$/, '%I');
+			this._map.set(/^(0\d|1[0-2])$/, '%I');
+		} else if (format === 'dotnet') {
+			this._map.set(/^([1-9]|1[0-2])$/, 'h');
+			this._map.set(/^(0\d|1[0-2])$/, 'hh');
+		} else if (format === 'php') {
+			this._map.set(/^([1-9]|1[0-2])$/, 'g');
+			this._map.set(/^(0\d|1[0-2])$/, 'h');
+		} else if (format === 'go') {
+			this._map.set(/^([1-9]|1[0-2])$/, '3');
+			this._map.set(/^(0\d|1[0-2])$/, '03');
+		} else if (format === 'postgres') {
+			this._map.set(/^([1-9]|1[0-2])$/, 'FMHH12');
+			this._map.set(/^(0\d|1[0-2])$/, 'HH12');
+		} else if (format === 'mysql') {
+			this._map.set(/^([1-9]|1[0-2])$/, '%l');
+			this._map.set(/^(0\d|1[0-2])$/, '%h');
+		} else if (format === 'oracle') {
+			this._map.set(/^([1-9]|1[0-2])$/, 'FMHH12FM');
+			this._map.set(/^(0\d|1[0-2])$/, 'HH12');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/^(0?\d|1[0-2])$/, 'HH12');
+		} else if (format === 'excel') {
+			// The hour is shown on a 12-hour clock when "AM/PM" is present
+			this._map.set(/^([1-9]|1[0-2])$/, 'h');
+			this._map.set(/^(0\d|1[0-2])$/, 'hh');
+		} else if (format === 'chrono') {
+			this._map.set(/^([1-9]|1[0-2])$/, '%-I');
+			this._map.set(/^(0\d|1[0-2])$/, '%I');
+		} else if (format === 'bigquery') {
+			this._map.set(/^([1-9]|1[0-2])$/, 'NA');
+			this._map.set(/^(0\d|1[0-2])$/, '%I');
 		} else {
 			this._map.set(/^([1-9]|1[0-2])$/, '%-l');
 			this._map.set(/^(0\d|1[0-2])$/, '%I');
@@ -16,9 +16,48 @@ class TwentyFourHourFormatTokenAssigner implements IAssigner {
 		this.format = format;
 		this._map = new Map();
 
-		if (!format || format === 'default') {
+		if (!format || format === 'default' || format === 'luxon' || format === 'dayjs') {
 			this._map.set(/^(\d|1\d|2[0-3])$/, 'H');
 			this._map.set(/^([0-1]\d|2[0-3])$/, 'HH');
+		} else if (format === 'ldml') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, 'H');
+			this._map.set(/^([0-1]\d|2[0-3])$/, 'HH');
+		} else if (format === 'java' || format === 'java:legacy') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, 'H');
+			this._map.set(/^([0-1]\d|2[0-3])$/, 'HH');
+		} else if (format === 'python') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, '%H');
+			this._map.set(/^([0-1]\d|2[0-3])$/, '%H');
+		} else if (format === 'dotnet') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, 'H');
+			this._map.set(/^([0-1]\d|2[0-3])$/, 'HH');
+		} else if (format === 'php') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, 'G');
+			this._map.set(/^([0-1]\d|2[0-3])$/, 'H');
+		} else if (format === 'go') {
+			// Go always pads the hour when formatting, but accepts an unpadded one when parsing
+			this._map.set(/^(\d|1\d|2[0-3])$/, '15');
+			this._map.set(/^([0-1]\d|2[0-3])$/, '15');
+		} else if (format === 'postgres') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, 'FMHH24');
+			this._map.set(/^([0-1]\d|2[0-3])$/, 'HH24');
+		} else if (format === 'mysql') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, '%k');
+			this._map.set(/^([0-1]\d|2[0-3])$/, '%H');
+		} else if (format === 'oracle') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, 'FMHH24FM');
+			this._map.set(/^([0-1]\d|2[0-3])$/, 'HH24');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/^(\d|[0-1]\d|2[0-3])$/, 'HH24');
+		} else if (format === 'excel') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, 'h');
+			this._map.set(/^([0-1]\d|2[0-3])$/, 'hh');
+		} else if (format === 'chrono') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, '%-H');
+			this._map.set(/^([0-1]\d|2[0-3])$/, '%H');
+		} else if (format === 'bigquery') {
+			this._map.set(/^(\d|1\d|2[0-3])$/, 'NA');
+			this._map.set(/^([0-1]\d|2[0-3])$/, '%H');
 		} else {
 			this._map.set(/^(\d|1\d|2[0-3])$/, '%-k');
 			this._map.set(/^([0-1]\d|2[0-3])$/, '%H');
@@ -20,6 +20,69 @@ class YearFormatTokenAssigner implements IAssigner {
 			this._map.set(/\d{2}/, 'YY');
 			this._map.set(/\d{4}/, 'YYYY');
 			this._map.set(/[+-]\d{6}/, 'YYYYYY');
+		} else if (format === 'luxon') {
+			// Luxon's six digit year is unsigned
+			this._map.set(/\d{2}/, 'yy');
+			this._map.set(/\d{4}/, 'yyyy');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'ldml') {
+			this._map.set(/\d{2}/, 'yy');
+			this._map.set(/\d{4}/, 'yyyy');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'dayjs') {
+			this._map.set(/\d{2}/, 'YY');
+			this._map.set(/\d{4}/, 'YYYY');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'java' || format === 'java:legacy') {
+			// "y" is year-of-era, which DateTimeFormatter's strict resolver won't accept without an era
+			this._map.set(/\d{2}/, format === 'java' ? 'uu' : 'yy');
+			this._map.set(/\d{4}/, format === 'java' ? 'uuuu' : 'yyyy');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'python') {
+			this._map.set(/\d{2}/, '%y');
+			this._map.set(/\d{4}/, '%Y');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'dotnet') {
+			this._map.set(/\d{2}/, 'yy');
+			this._map.set(/\d{4}/, 'yyyy');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'php') {
+			this._map.set(/\d{2}/, 'y');
+			this._map.set(/\d{4}/, 'Y');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'go') {
+			this._map.set(/\d{2}/, '06');
+			this._map.set(/\d{4}/, '2006');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'postgres') {
+			this._map.set(/\d{2}/, 'YY');
+			this._map.set(/\d{4}/, 'YYYY');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'mysql') {
+			this._map.set(/\d{2}/, '%y');
+			this._map.set(/\d{4}/, '%Y');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'oracle') {
+			this._map.set(/\d{2}/, 'YY');
+			this._map.set(/\d{4}/, 'YYYY');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'oracle:snowflake') {
+			this._map.set(/\d{2}/, 'YY');
+			this._map.set(/\d{4}/, 'YYYY');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'excel') {
+			this._map.set(/\d{2}/, 'yy');
+			this._map.set(/\d{4}/, 'yyyy');
+			this._map.set(/[+-]\d{6}/, 'NA');
+		} else if (format === 'chrono') {
+			this._map.set(/\d{2}/, '%y');
+			this._map.set(/\d{4}/, '%Y');
+			// Years past 9999 need their sign
+			this._map.set(/[+-]\d{6}/, '%Y');
+		} else if (format === 'bigquery') {
+			this._map.set(/\d{2}/, '%y');
+			this._map.set(/\d{4}/, '%Y');
+			this._map.set(/[+-]\d{6}/, 'NA');
 		} else {
 			this._map.set(/\d{2}/, '%y');
 			this._map.set(/\d{4}/, '%Y');
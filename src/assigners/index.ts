@@ -6,83 +6,90 @@ import MinuteFormatTokenAssigner from './MinuteFormatTokenAssigner';
 import SecondFormatTokenAssigner from './SecondFormatTokenAssigner';
 import MillisecondFormatTokenAssigner from './MillisecondFormatTokenAssigner';
 import TimezoneFormatTokenAssigner from './TimezoneFormatTokenAssigner';
+import TimezoneIdFormatTokenAssigner from './TimezoneIdFormatTokenAssigner';
+import TimezoneNameFormatTokenAssigner from './TimezoneNameFormatTokenAssigner';
 import DayOfYearFormatTokenAssigner from './DayOfYearFormatTokenAssigner';
 import EscapeTextFormatTokenAssigner from './EscapeTextFormatTokenAssigner';
 import ISODayOfWeekFormatTokenAssigner from './ISODayOfWeekFormatTokenAssigner';
 import ISOWeekOfYearFormatTokenAssigner from './ISOWeekOfYearFormatTokenAssigner';
+import ISOWeekYearFormatTokenAssigner from './ISOWeekYearFormatTokenAssigner';
 import TwentyFourHourFormatTokenAssigner from './TwentyFourHourFormatTokenAssigner';
 import TwelveHourFormatTokenAssigner from './TwelveHourFormatTokenAssigner';
 import DayOfWeekFormatTokenAssigner from './DayOfWeekFormatTokenAssigner';
 import MeridiemFormatTokenAssigner from './MeridiemFormatTokenAssigner';
+import EpochFormatTokenAssigner from './EpochFormatTokenAssigner';
+import {
+	IAssigner,
+} from '../types';
 
-const dayOfMonthFormatTokenAssigner = new DayOfMonthFormatTokenAssigner('DelimiterFormatTokenAssigner', 'dayOfMonth');
-const dayOfWeekFormatTokenAssigner = new DayOfWeekFormatTokenAssigner('DayOfWeekFormatTokenAssigner', 'dayOfWeek');
-const dayOfYearFormatTokenAssigner  = new DayOfYearFormatTokenAssigner('DayOfYearFormatTokenAssigner', 'dayOfYear');
-const delimiterFormatTokenAssigner = new DelimiterFormatTokenAssigner('DelimiterFormatTokenAssigner', 'delimiter');
-const escapeTextFormatTokenAssigner = new EscapeTextFormatTokenAssigner('EscapeTextFormatTokenAssigner', 'escapeText');
-const iSODayOfWeekFormatTokenAssigner = new ISODayOfWeekFormatTokenAssigner('ISODayOfWeekFormatTokenAssigner', 'isoDayOfWeek');
-const iSOWeekOfYearFormatTokenAssigner = new ISOWeekOfYearFormatTokenAssigner('ISOWeekOfYearFormatTokenAssigner', 'isoWeekOfYear');
-const meridiemFormatTokenAssigner = new MeridiemFormatTokenAssigner('MeridiemFormatTokenAssigner', 'meridiem');
-const millisecondFormatTokenAssigner = new MillisecondFormatTokenAssigner('MillisecondFormatTokenAssigner', 'millisecond');
-const minuteFormatTokenAssigner = new MinuteFormatTokenAssigner('MinuteFormatTokenAssigner', 'minute');
-const monthFormatTokenAssigner = new MonthFormatTokenAssigner('MonthFormatTokenAssigner', 'month');
-const secondFormatTokenAssigner = new SecondFormatTokenAssigner('SecondFormatTokenAssigner', 'second');
-const timezoneFormatTokenAssigner = new TimezoneFormatTokenAssigner('TimezoneFormatTokenAssigner', 'timezone');
-const twelveHourFormatTokenAssigner = new TwelveHourFormatTokenAssigner('TwelveHourFormatTokenAssigner', 'twelveHour');
-const twentyFourHourFormatTokenAssigner = new TwentyFourHourFormatTokenAssigner('TwentyFourHourFormatTokenAssigner', 'twentyFourHour');
-const yearFormatTokenAssigner = new YearFormatTokenAssigner('YearFormatTokenAssigner', 'year');
+/**
+ * Creates one assigner per token type, all emitting tokens of the given format.
+ */
+function createAssigners(format?: string): Array<IAssigner> {
+	return [
+		new YearFormatTokenAssigner('YearFormatTokenAssigner', 'year', format),
+		new MonthFormatTokenAssigner('MonthFormatTokenAssigner', 'month', format),
+		new DayOfMonthFormatTokenAssigner('DayOfMonthFormatTokenAssigner', 'dayOfMonth', format),
+		new DelimiterFormatTokenAssigner('DelimiterFormatTokenAssigner', 'delimiter', format),
+		new MinuteFormatTokenAssigner('MinuteFormatTokenAssigner', 'minute', format),
+		new SecondFormatTokenAssigner('SecondFormatTokenAssigner', 'second', format),
+		new MillisecondFormatTokenAssigner('MillisecondFormatTokenAssigner', 'millisecond', format),
+		new TimezoneFormatTokenAssigner('TimezoneFormatTokenAssigner', 'timezone', format),
+		new TimezoneIdFormatTokenAssigner('TimezoneIdFormatTokenAssigner', 'timezoneId', format),
+		new TimezoneNameFormatTokenAssigner('TimezoneNameFormatTokenAssigner', 'timezoneName', format),
+		new DayOfYearFormatTokenAssigner('DayOfYearFormatTokenAssigner', 'dayOfYear', format),
+		new EscapeTextFormatTokenAssigner('EscapeTextFormatTokenAssigner', 'escapeText', format),
+		new ISODayOfWeekFormatTokenAssigner('ISODayOfWeekFormatTokenAssigner', 'isoDayOfWeek', format),
+		new ISOWeekOfYearFormatTokenAssigner('ISOWeekOfYearFormatTokenAssigner', 'isoWeekOfYear', format),
+		new ISOWeekYearFormatTokenAssigner('ISOWeekYearFormatTokenAssigner', 'isoWeekYear', format),
+		new TwentyFourHourFormatTokenAssigner('TwentyFourHourFormatTokenAssigner', 'twentyFourHour', format),
+		new TwelveHourFormatTokenAssigner('TwelveHourFormatTokenAssigner', 'twelveHour', format),
+		new DayOfWeekFormatTokenAssigner('DayOfWeekFormatTokenAssigner', 'dayOfWeek', format),
+		new MeridiemFormatTokenAssigner('MeridiemFormatTokenAssigner', 'meridiem', format),
+		new EpochFormatTokenAssigner('EpochFormatTokenAssigner', 'epoch', format),
+	];
+}
 
-const strftimeDayOfMonthFormatTokenAssigner = new DayOfMonthFormatTokenAssigner('DelimiterFormatTokenAssigner', 'dayOfMonth', 'strftime');
-const strftimeDayOfWeekFormatTokenAssigner = new DayOfWeekFormatTokenAssigner('DayOfWeekFormatTokenAssigner', 'dayOfWeek', 'strftime');
-const strftimeDayOfYearFormatTokenAssigner  = new DayOfYearFormatTokenAssigner('DayOfYearFormatTokenAssigner', 'dayOfYear', 'strftime');
-const strftimeDelimiterFormatTokenAssigner = new DelimiterFormatTokenAssigner('DelimiterFormatTokenAssigner', 'delimiter', 'strftime');
-const strftimeEscapeTextFormatTokenAssigner = new EscapeTextFormatTokenAssigner('EscapeTextFormatTokenAssigner', 'escapeText', 'strftime');
-const strftimeISODayOfWeekFormatTokenAssigner = new ISODayOfWeekFormatTokenAssigner('ISODayOfWeekFormatTokenAssigner', 'isoDayOfWeek', 'strftime');
-const strftimeISOWeekOfYearFormatTokenAssigner = new ISOWeekOfYearFormatTokenAssigner('ISOWeekOfYearFormatTokenAssigner', 'isoWeekOfYear', 'strftime');
-const strftimeMeridiemFormatTokenAssigner = new MeridiemFormatTokenAssigner('MeridiemFormatTokenAssigner', 'meridiem', 'strftime');
-const strftimeMillisecondFormatTokenAssigner = new MillisecondFormatTokenAssigner('MillisecondFormatTokenAssigner', 'millisecond', 'strftime');
-const strftimeMinuteFormatTokenAssigner = new MinuteFormatTokenAssigner('MinuteFormatTokenAssigner', 'minute', 'strftime');
-const strftimeMonthFormatTokenAssigner = new MonthFormatTokenAssigner('MonthFormatTokenAssigner', 'month', 'strftime');
-const strftimeSecondFormatTokenAssigner = new SecondFormatTokenAssigner('SecondFormatTokenAssigner', 'second', 'strftime');
-const strftimeTimezoneFormatTokenAssigner = new TimezoneFormatTokenAssigner('TimezoneFormatTokenAssigner', 'timezone', 'strftime');
-const strftimeTwelveHourFormatTokenAssigner = new TwelveHourFormatTokenAssigner('TwelveHourFormatTokenAssigner', 'twelveHour', 'strftime');
-const strftimeTwentyFourHourFormatTokenAssigner = new TwentyFourHourFormatTokenAssigner('TwentyFourHourFormatTokenAssigner', 'twentyFourHour', 'strftime');
-const strftimeYearFormatTokenAssigner = new YearFormatTokenAssigner('YearFormatTokenAssigner', 'year', 'strftime');
+export const defaultAssigners = createAssigners();
+export const strftimeAssigners = createAssigners('strftime');
+export const luxonAssigners = createAssigners('luxon');
+export const ldmlAssigners = createAssigners('ldml');
+export const dayjsAssigners = createAssigners('dayjs');
+export const javaAssigners = createAssigners('java');
+export const legacyJavaAssigners = createAssigners('java:legacy');
+export const pythonAssigners = createAssigners('python');
+export const dotnetAssigners = createAssigners('dotnet');
+export const phpAssigners = createAssigners('php');
+export const goAssigners = createAssigners('go');
+export const postgresAssigners = createAssigners('postgres');
+export const mysqlAssigners = createAssigners('mysql');
+export const oracleAssigners = createAssigners('oracle');
+export const snowflakeAssigners = createAssigners('oracle:snowflake');
+export const excelAssigners = createAssigners('excel');
+export const chronoAssigners = createAssigners('chrono');
+export const bigqueryAssigners = createAssigners('bigquery');
 
-export const defaultAssigners = [
-	yearFormatTokenAssigner,
-	monthFormatTokenAssigner,
-	dayOfMonthFormatTokenAssigner,
-	delimiterFormatTokenAssigner,
-	minuteFormatTokenAssigner,
-	secondFormatTokenAssigner,
-	millisecondFormatTokenAssigner,
-	timezoneFormatTokenAssigner,
-	dayOfYearFormatTokenAssigner,
-	escapeTextFormatTokenAssigner,
-	iSODayOfWeekFormatTokenAssigner,
-	iSOWeekOfYearFormatTokenAssigner,
-	twentyFourHourFormatTokenAssigner,
-	twelveHourFormatTokenAssigner,
-	dayOfWeekFormatTokenAssigner,
-	meridiemFormatTokenAssigner,
-];
+const assigners: Map<string, Array<IAssigner>> = new Map([
+	['default', defaultAssigners],
+	['strftime', strftimeAssigners],
+	['luxon', luxonAssigners],
+	['ldml', ldmlAssigners],
+	['dayjs', dayjsAssigners],
+	['java', javaAssigners],
+	['java:legacy', legacyJavaAssigners],
+	['python', pythonAssigners],
+	['dotnet', dotnetAssigners],
+	['php', phpAssigners],
+	['go', goAssigners],
+	['postgres', postgresAssigners],
+	['mysql', mysqlAssigners],
+	['oracle', oracleAssigners],
+	['oracle:snowflake', snowflakeAssigners],
+	['excel', excelAssigners],
+	['chrono', chronoAssigners],
+	// Custom Elasticsearch formats are DateTimeFormatter patterns
+	['elasticsearch', javaAssigners],
+	['bigquery', bigqueryAssigners],
+]);
 
-export const strftimeAssigners = [
-	strftimeDayOfMonthFormatTokenAssigner,
-	strftimeDayOfWeekFormatTokenAssigner,
-	strftimeDayOfYearFormatTokenAssigner,
-	strftimeDelimiterFormatTokenAssigner,
-	strftimeEscapeTextFormatTokenAssigner,
-	strftimeISODayOfWeekFormatTokenAssigner,
-	strftimeISOWeekOfYearFormatTokenAssigner,
-	strftimeMeridiemFormatTokenAssigner,
-	strftimeMillisecondFormatTokenAssigner,
-	strftimeMinuteFormatTokenAssigner,
-	strftimeMonthFormatTokenAssigner,
-	strftimeSecondFormatTokenAssigner,
-	strftimeTimezoneFormatTokenAssigner,
-	strftimeTwelveHourFormatTokenAssigner,
-	strftimeTwentyFourHourFormatTokenAssigner,
-	strftimeYearFormatTokenAssigner,
-];
+export default assigners;
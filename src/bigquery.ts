@@ -0,0 +1,45 @@
+import Token from './parsers/Token';
+
+/**
+ * BigQuery has no element for the fraction alone, "%E3S" and "%E*S" stand for
+ * the seconds along with their fraction. Folds "ss", "." and the fraction into
+ * a single token, fractions that don't follow the seconds and a "." have no equivalent
+ * https://cloud.google.com/bigquery/docs/reference/standard-sql/format-elements#format_elements_date_time
+ */
+export function mergeFractionalSeconds(tokens: Array<Token>): Array<Token> {
+	const merged: Array<Token> = [];
+	tokens.forEach(token => {
+		if (token.type !== 'millisecond') {
+			merged.push(token);
+			return;
+		}
+
+		const fraction = new Token(token.value, token.type);
+		const delimiter = merged[merged.length - 1];
+		const second = merged[merged.length - 2];
+		if (delimiter && delimiter.value === '.' && second && second.type === 'second' && second.format === '%S') {
+			merged.splice(-2, 2);
+			fraction.value = `${second.value}.${token.value}`;
+			fraction.format = token.format;
+		} else {
+			fraction.format = 'NA';
+		}
+		merged.push(fraction);
+	});
+	return merged;
+}
+
+/**
+ * The other way around, reads a "%E3S" or "%E*S" token back as the seconds,
+ * a "." and the fraction
+ */
+export function splitFractionalSeconds(token: Token): Array<Token> {
+	if (token.type !== 'millisecond') {
+		return [token];
+	}
+	return [
+		new Token('01', 'second'),
+		new Token('.', 'delimiter'),
+		new Token(token.value, token.type),
+	];
+}
@@ -0,0 +1,36 @@
+import Token from './parsers/Token';
+
+/**
+ * chrono reads and writes the "." along with the fraction, "%.3f", "%.6f" and
+ * "%.9f" for fixed widths, "%.f" for any other. Folds a "." and the fraction
+ * after it into a single token, fractions after other delimiters are left as they are
+ * https://docs.rs/chrono/latest/chrono/format/strftime/index.html
+ */
+export function mergeFractionDot(tokens: Array<Token>): Array<Token> {
+	const merged: Array<Token> = [];
+	tokens.forEach(token => {
+		const delimiter = merged[merged.length - 1];
+		if (token.type !== 'millisecond' || !delimiter || delimiter.type !== 'delimiter' || delimiter.value !== '.') {
+			merged.push(token);
+			return;
+		}
+
+		const fraction = new Token(`.${token.value}`, token.type);
+		fraction.format = /^(?:\d{3}|\d{6}|\d{9})$/.test(token.value) ? `%.${token.value.length}f` : '%.f';
+		merged.splice(-1, 1, fraction);
+	});
+	return merged;
+}
+
+/**
+ * The other way around, reads a "%.3f" or "%.f" token back as a "." and the fraction
+ */
+export function splitFractionDot(token: Token, source: string): Array<Token> {
+	if (token.type !== 'millisecond' || !/^%\.\d?f$/.test(source)) {
+		return [token];
+	}
+	return [
+		new Token('.', 'delimiter'),
+		new Token(token.value, token.type),
+	];
+}
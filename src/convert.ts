@@ -0,0 +1,254 @@
+import Guesser from './Guesser';
+import Token from './parsers/Token';
+import { splitFractionalSeconds } from './bigquery';
+import { mergeFractionDot, splitFractionDot } from './chrono';
+import {
+	Format,
+} from './types';
+
+/**
+ * Values standing in for the parts of a date, in order of preference when
+ * several of them get the same format token
+ */
+const samples: Array<[string, string]> = [
+	['year', '2020'], ['year', '20'], ['year', '+002020'],
+	['isoWeekYear', '2020'], ['isoWeekYear', '20'], ['isoWeekYear', '+002020'],
+	['month', '01'], ['month', '1'], ['month', '1st'], ['month', 'Jan'], ['month', 'January'],
+	['dayOfMonth', '01'], ['dayOfMonth', '1'], ['dayOfMonth', '1st'], ['dayOfMonth', '01st'],
+	['dayOfWeek', '1'], ['dayOfWeek', '1st'], ['dayOfWeek', 'Mo'], ['dayOfWeek', 'Mon'], ['dayOfWeek', 'Monday'],
+	['dayOfYear', '001'], ['dayOfYear', '1'], ['dayOfYear', '1st'],
+	['isoDayOfWeek', '1'],
+	['isoWeekOfYear', '01'], ['isoWeekOfYear', '1'], ['isoWeekOfYear', '1st'],
+	['twentyFourHour', '01'], ['twentyFourHour', '1'],
+	['twelveHour', '01'], ['twelveHour', '1'],
+	['minute', '01'], ['minute', '1'],
+	['second', '01'], ['second', '1'],
+	['millisecond', '123'], ['millisecond', '1'], ['millisecond', '12'], ['millisecond', '1234'],
+	['millisecond', '12345'], ['millisecond', '123456'], ['millisecond', '1234567'],
+	['millisecond', '12345678'], ['millisecond', '123456789'],
+	['meridiem', 'AM'], ['meridiem', 'am'],
+	['timezone', '+05:30'], ['timezone', '+0530'], ['timezone', '+05'], ['timezone', 'Z'], ['timezone', 'PST'],
+	['timezoneId', 'Europe/Paris'],
+	['epoch', '1577836800'], ['epoch', '1577836800123'], ['epoch', '1577836800.123'],
+];
+
+/**
+ * How each format escapes literal text, the first group is the text
+ */
+const bracketed = /^\[([^\]]*)\]/;
+const singleQuoted = /^'((?:[^']|'')*)'/;
+const doubleQuoted = /^"((?:[^"\\]|\\.)*)"/;
+const backslashed = /^\\(.)/;
+const percent = /^%(%)/;
+const literalPatterns: { [format: string]: Array<RegExp> } = {
+	default: [bracketed],
+	dayjs: [bracketed],
+	luxon: [singleQuoted],
+	ldml: [singleQuoted],
+	java: [singleQuoted],
+	'java:legacy': [singleQuoted],
+	elasticsearch: [singleQuoted],
+	dotnet: [singleQuoted, doubleQuoted, backslashed],
+	php: [backslashed],
+	postgres: [doubleQuoted],
+	oracle: [doubleQuoted],
+	'oracle:snowflake': [doubleQuoted],
+	excel: [doubleQuoted, backslashed],
+	strftime: [percent],
+	python: [percent],
+	mysql: [percent],
+	chrono: [percent],
+	bigquery: [percent],
+};
+
+// Format tokens the assigners don't emit but that stand for the same parts
+const aliases: { [format: string]: Array<[Format, string, string]> } = {
+	default: [
+		['GGGG', 'isoWeekYear', '2020'],
+		['GG', 'isoWeekYear', '20'],
+	],
+	java: [['yyyy', 'year', '2020'], ['yy', 'year', '20']],
+	elasticsearch: [['yyyy', 'year', '2020'], ['yy', 'year', '20']],
+};
+
+// moment tokens with no counterpart among the token types
+const unknownMomentTokens = /^(?:Qo|Q|kk?|wo|ww?|Wo|gggg|gg|GGGGG|e|N{1,5})/;
+
+const tables: Map<string, Array<[Format, Token]>> = new Map();
+
+/**
+ * Format tokens of the format along with a token they stand for, longest first
+ */
+function getTable(format: string): Array<[Format, Token]> {
+	let table = tables.get(format);
+	if (table) {
+		return table;
+	}
+	const byFormat: Map<Format, Token> = new Map();
+	samples.forEach(([type, value]) => {
+		const token = new Token(value, type);
+		Guesser.assign([token], format);
+		if (format === 'chrono' && type === 'millisecond') {
+			// "%.3f" and "%.f" stand for the "." along with the fraction
+			const [merged] = mergeFractionDot([new Token('.', 'delimiter'), token]);
+			if (!byFormat.has(merged.format)) {
+				byFormat.set(merged.format, new Token(value, type));
+			}
+		}
+		if (!token.format || token.format === 'NA' || /^(["']).*\1$|^\[.*\]$/.test(token.format) || byFormat.has(token.format)) {
+			return;
+		}
+		// Tokens that read "Z" read offsets as well, unless they are the literal "Z"
+		if (type === 'timezone' && value === 'Z' && token.format !== 'Z') {
+			token.value = '+05:30';
+		}
+		byFormat.set(token.format, token);
+	});
+	(aliases[format] || []).forEach(([alias, type, value]) => {
+		if (!byFormat.has(alias)) {
+			byFormat.set(alias, new Token(value, type));
+		}
+	});
+	table = Array.from(byFormat.entries()).sort((a, b) => b[0].length - a[0].length);
+	tables.set(format, table);
+	return table;
+}
+
+/**
+ * Whether the format reads the character as part of a format token
+ */
+function isReserved(character: string, format: string): boolean {
+	const token = new Token(character, 'delimiter');
+	Guesser.assign([token], format);
+	return token.format !== '';
+}
+
+/**
+ * Whether the format keeps the value of the token as quoted literal text
+ * instead of reading it with a modifier
+ */
+function isQuoted(token: Token, format: string): boolean {
+	const text = new Token(token.value, 'escapeText');
+	Guesser.assign([text], format);
+	return text.format !== token.value && token.format === text.format;
+}
+
+/**
+ * Breaks literal text into escapeText for letters and delimiters for the rest
+ */
+function literalTokens(text: string): Array<Token> {
+	return (text.match(/[a-zA-Z]+|[^a-zA-Z]+/g) || []).map(part => new Token(
+		part,
+		/[a-zA-Z]/.test(part) ? 'escapeText' : 'delimiter'
+	));
+}
+
+/**
+ * Converts a format string from one format to another, without a sample
+ * date. Throws with the tokens the target format has no modifier for.
+ */
+export function convertFormat(formatString: Format, fromFormat: string, toFormat: string): Format {
+	[fromFormat, toFormat].forEach(format => {
+		if (Guesser.getFormats().indexOf(format) === -1) {
+			throw Error(`Unknown format "${format}"`);
+		}
+	});
+	const table = getTable(fromFormat);
+	const tokens: Array<Token> = [];
+	// The text each token was read from, to report it
+	const sources: Array<string> = [];
+	const unknown: Array<string> = [];
+
+	// Oracle's "FX" only says how strictly the whole format is matched
+	let i = fromFormat === 'oracle' && formatString.startsWith('FX') ? 2 : 0;
+	while (i < formatString.length) {
+		const rest = formatString.slice(i);
+
+		const literal = (literalPatterns[fromFormat] || [])
+			.map(pattern => pattern.exec(rest))
+			.find(match => Boolean(match));
+		if (literal) {
+			const text = literal[0] === "''" ? "'" : literal[1].replace(/''/g, "'").replace(/\\(.)/g, '$1');
+			literalTokens(text).forEach(token => {
+				tokens.push(token);
+				sources.push(token.value);
+			});
+			i += literal[0].length;
+			continue;
+		}
+
+		const entry = table.find(([format]) => rest.startsWith(format));
+		if (entry) {
+			tokens.push(new Token(entry[1].value, entry[1].type));
+			sources.push(entry[0]);
+			i += entry[0].length;
+			continue;
+		}
+
+		const unknownToken = ((fromFormat === 'default' || fromFormat === 'dayjs') && unknownMomentTokens.exec(rest))
+			|| ((literalPatterns[fromFormat] || []).indexOf(percent) !== -1 && /^%[^a-zA-Z%]*[a-zA-Z]/.exec(rest));
+		const character = rest[0];
+		if (unknownToken || (/[a-zA-Z]/.test(character) && isReserved(character, fromFormat))) {
+			const text = unknownToken ? unknownToken[0] : (/^([a-zA-Z])\1*/.exec(rest) as RegExpExecArray)[0];
+			unknown.push(text);
+			i += text.length;
+			continue;
+		}
+
+		literalTokens(character).forEach(token => {
+			tokens.push(token);
+			sources.push(character);
+		});
+		i += 1;
+	}
+
+	if (fromFormat === 'excel') {
+		// "m" and "mm" are minutes next to hours or seconds, hours are 12-hour along with AM/PM
+		const fields = tokens.filter(token => token.type !== 'delimiter' && token.type !== 'escapeText');
+		const twelveHour = fields.some(token => token.type === 'meridiem');
+		fields.forEach((token, index) => {
+			if (token.type === 'twentyFourHour' && twelveHour) {
+				token.type = 'twelveHour';
+			}
+			const previous = fields[index - 1];
+			const next = fields[index + 1];
+			if (
+				token.type === 'month' && /^\d+$/.test(token.value)
+				&& ((previous && /^(?:twelveHour|twentyFourHour)$/.test(previous.type)) || (next && next.type === 'second'))
+			) {
+				token.type = 'minute';
+			}
+		});
+	}
+
+	let converted = tokens;
+	let convertedSources = sources;
+	if (fromFormat === 'bigquery' || fromFormat === 'chrono') {
+		// "%E3S" and "%E*S" are the seconds along with their fraction, "%.3f" and "%.f" the "." along with it
+		converted = [];
+		convertedSources = [];
+		tokens.forEach((token, index) => {
+			const split = fromFormat === 'bigquery'
+				? splitFractionalSeconds(token)
+				: splitFractionDot(token, sources[index]);
+			converted.push(...split);
+			split.forEach(() => convertedSources.push(sources[index]));
+		});
+	}
+
+	Guesser.assign(converted, toFormat);
+	converted.forEach((token, index) => {
+		const isLiteral = token.type === 'delimiter' || token.type === 'escapeText';
+		// No modifier at all, or only the value itself as text
+		const missing = token.format === 'NA'
+			|| (!isLiteral && (token.format === '' || isQuoted(token, toFormat)));
+		if (missing && unknown.indexOf(convertedSources[index]) === -1) {
+			unknown.push(convertedSources[index]);
+		}
+	});
+	if (unknown.length) {
+		throw Error(`Couldn't find ${toFormat} modifier for ${unknown.map(text => `"${text}"`).join(', ')}`);
+	}
+
+	return Guesser.getFormat({ tokens: converted, index: 0, parser: '' }, toFormat);
+}
@@ -0,0 +1,123 @@
+import Token from './parsers/Token';
+import {
+	Format,
+	ParsedResult,
+} from './types';
+
+/**
+ * Names the date part of an ISO 8601 result the way Elasticsearch does
+ */
+function dateKindOf(types: Array<string>): string {
+	if (types.indexOf('dayOfMonth') !== -1) {
+		return 'date';
+	}
+	if (types.indexOf('month') !== -1) {
+		return 'year_month';
+	}
+	if (types.indexOf('dayOfYear') !== -1) {
+		return 'ordinal_date';
+	}
+	if (types.indexOf('isoDayOfWeek') !== -1) {
+		return 'week_date';
+	}
+	return types.indexOf('isoWeekOfYear') !== -1 ? 'weekyear_week' : '';
+}
+
+/**
+ * Names the time part, e.g. "hour_minute_second_millis"
+ */
+function timeKindOf(types: Array<string>, millisecond?: Token): string {
+	if (types.indexOf('twentyFourHour') === -1) {
+		return '';
+	}
+	let kind = 'hour';
+	if (types.indexOf('minute') !== -1) {
+		kind += '_minute';
+	}
+	if (types.indexOf('second') !== -1) {
+		kind += '_second';
+	}
+	if (millisecond) {
+		kind += millisecond.value.length === 3 ? '_millis' : '_fraction';
+	}
+	return kind;
+}
+
+/**
+ * Returns the Elasticsearch built-in format that parses the result, if any
+ * https://www.elastic.co/guide/en/elasticsearch/reference/current/mapping-date-format.html#built-in-date-formats
+ */
+export function getElasticsearchFormatName(parsedResult: ParsedResult): Format | undefined {
+	const { tokens, parser } = parsedResult;
+	if (parser === 'EpochTimestampFormatParser') {
+		const epoch = tokens[0].value;
+		if (/^\d{10}(?:\.\d+)?$/.test(epoch)) {
+			return 'epoch_second';
+		}
+		return /^\d{13}(?:\.\d+)?$/.test(epoch) ? 'epoch_millis' : undefined;
+	}
+	const basic = parser === 'ISO8601BasicDateTimeFormatParser';
+	const extended = parser === 'ISO8601ExtendedDateTimeFormatParser';
+	const timeOnly = parser === 'TwentyFourHourTimeFormatParser';
+	if (!basic && !extended && !timeOnly) {
+		return undefined;
+	}
+
+	const find = (type: string) => tokens.find(token => token.type === type);
+	const types = tokens.map(token => token.type);
+	const delimiters = tokens.filter(token => token.type === 'delimiter').map(token => token.value);
+	const year = find('year') || find('isoWeekYear');
+	const hour = find('twentyFourHour');
+	const millisecond = find('millisecond');
+	const timezone = find('timezone');
+
+	// Built-in formats want 4 digit years, a "T" before the time, ":" in extended times and "." before the fraction
+	if (
+		(year && year.value.length !== 4)
+		|| (hour && hour.value.length !== 2)
+		|| delimiters.some(delimiter => !/^[-T:.]$/.test(delimiter) || (basic && delimiter === ':'))
+		|| (millisecond && tokens[tokens.indexOf(millisecond) - 1].value !== '.')
+		|| find('timezoneId')
+	) {
+		return undefined;
+	}
+	if (timezone && timezone.value !== 'Z' && !(basic ? /^[+-]\d{4}$/ : /^[+-]\d{2}:\d{2}$/).test(timezone.value)) {
+		return undefined;
+	}
+
+	const dateKind = dateKindOf(types);
+	const timeKind = timeKindOf(types, millisecond);
+	const withSeconds = types.indexOf('second') !== -1;
+
+	if (timeOnly) {
+		if (timezone) {
+			return undefined;
+		}
+		return `strict_${timeKind}`;
+	}
+
+	if (basic) {
+		const prefix = dateKind === 'week_date' ? 'strict_basic_' : 'basic_';
+		if (dateKind === 'year_month' || dateKind === 'weekyear_week') {
+			return undefined;
+		}
+		if (!timeKind) {
+			return `${prefix}${dateKind}`;
+		}
+		if (!timezone || !withSeconds) {
+			return undefined;
+		}
+		return `${prefix}${dateKind}_time${millisecond ? '' : '_no_millis'}`;
+	}
+
+	if (!timeKind) {
+		return `strict_${dateKind}`;
+	}
+	if (timezone && withSeconds && dateKind !== 'year_month' && dateKind !== 'weekyear_week') {
+		return `strict_${dateKind}_time${millisecond ? '' : '_no_millis'}`;
+	}
+	if (dateKind === 'date') {
+		return timezone ? 'strict_date_optional_time' : `strict_date_${timeKind}`;
+	}
+	return undefined;
+}
@@ -0,0 +1,78 @@
+import assigners from './assigners';
+import Token from './parsers/Token';
+
+export interface Substitution {
+	warning: string;
+	// Whether parsing the input with the format reads the same date, and formatting it gives the input back
+	roundTrip: boolean;
+}
+
+// Parts of the date that the rest of it implies, losing them loses nothing
+const impliedTypes = ['dayOfWeek', 'isoDayOfWeek'];
+
+/**
+ * The format token the format has for a value of the type, if any
+ */
+function formatOf(value: string, type: string, format?: string): string | undefined {
+	const token = new Token(value, type);
+	(assigners.get(format || 'default') || []).forEach(assigner => assigner.assign(token));
+	return token.format && token.format !== 'NA' ? token.format : undefined;
+}
+
+/**
+ * The zero padded form of a number, as wide as padded values of the type
+ */
+function pad(value: string, type: string): string {
+	const width = type === 'dayOfYear' ? 3 : 2;
+	return value.length < width ? `00${value}`.slice(-width) : value;
+}
+
+/**
+ * Replaces the format of each "NA" token with the nearest format token the
+ * format has: the number of an ordinal along with its suffix as literal text,
+ * the zero padded form of an unpadded value, or else the value as literal text.
+ */
+export function substituteUnavailable(tokens: Array<Token>, format?: string): Array<Substitution> {
+	const substitutions: Array<Substitution> = [];
+	const name = format || 'default';
+	tokens.forEach(token => {
+		if (token.format !== 'NA') {
+			return;
+		}
+
+		const ordinal = /^(\d+)(st|nd|rd|th)$/.exec(token.value);
+		if (ordinal) {
+			const exact = formatOf(ordinal[1], token.type, format);
+			const number = exact || formatOf(pad(ordinal[1], token.type), token.type, format);
+			const suffix = formatOf(ordinal[2], 'escapeText', format);
+			if (number && suffix) {
+				token.format = number + suffix;
+				substitutions.push({
+					warning: `"${number}" stands for "${ordinal[1]}" of "${token.value}", the suffix "${ordinal[2]}" is kept as literal text`,
+					roundTrip: Boolean(exact),
+				});
+				return;
+			}
+		}
+
+		if (/^\d{1,2}$/.test(token.value)) {
+			const padded = pad(token.value, token.type);
+			const directive = formatOf(padded, token.type, format);
+			if (directive) {
+				token.format = directive;
+				substitutions.push({
+					warning: `"${directive}" stands for "${token.value}", it writes "${padded}" and reads "${token.value}" only where parsing is lenient`,
+					roundTrip: false,
+				});
+				return;
+			}
+		}
+
+		token.format = formatOf(token.value, 'escapeText', format) || token.value;
+		substitutions.push({
+			warning: `No ${name} modifier for "${token.value}", it's kept as literal text`,
+			roundTrip: impliedTypes.indexOf(token.type) !== -1,
+		});
+	});
+	return substitutions;
+}
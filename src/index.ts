@@ -1,21 +1,118 @@
 import Guesser from './Guesser';
+import { convertFormat } from './convert';
 import {
+	AllFormats,
 	Date,
 	Format,
+	FormatDetails,
+	GuessOptions,
+	IntlFormatDetails,
+	ParsedResult,
 } from './types';
 
-export default function guessFormat(date: Date, format?: string): Array<Format> | Format {
+function parseTokens(date: Date): Array<ParsedResult> {
 	const parsedResults = Guesser.parse(date);
 	const refinedParsedResults = Guesser.refine(parsedResults);
 	if (refinedParsedResults.length === 0) {
 	    throw Error("Couldn't parse date");
 	}
+	return refinedParsedResults;
+}
+
+function guessTokens(date: Date, format?: string): Array<ParsedResult> {
+	const refinedParsedResults = parseTokens(date);
 	refinedParsedResults.forEach(r => Guesser.assign(r.tokens, format));
+	return refinedParsedResults;
+}
+
+/**
+ * Guesses the format of the date. With `options.presets` moment's localized
+ * presets(LT, LTS, L, LL, LLL, LLLL...) stand in for the formats they spell out.
+ */
+function guessFormat(date: Date, format?: string, options?: GuessOptions): Array<Format> | Format {
+	const refinedParsedResults = guessTokens(date, format);
 	let matchedFormats: Array<Format> = [];
-	refinedParsedResults.forEach(r => matchedFormats.push(Guesser.getFormatString(r.tokens)));
+	refinedParsedResults.forEach(r => matchedFormats.push(Guesser.getFormat(r, format, options)));
 	return (
 		matchedFormats.length === 1
 		? matchedFormats[0]
 		: matchedFormats
 	);
 }
+
+/**
+ * Same as guessFormat, but also returns the parser that matched and anything
+ * the format needs besides the format string itself(warnings, Day.js plugins...).
+ */
+guessFormat.guessFormatDetails = function guessFormatDetails(
+	date: Date,
+	format?: string,
+	options?: GuessOptions
+): Array<FormatDetails> | FormatDetails {
+	const refinedParsedResults = guessTokens(date, format);
+	let matchedFormats: Array<FormatDetails> = [];
+	refinedParsedResults.forEach(r => matchedFormats.push(Guesser.getFormatDetails(r, format, options)));
+	return (
+		matchedFormats.length === 1
+		? matchedFormats[0]
+		: matchedFormats
+	);
+};
+
+/**
+ * Same as guessFormat, for every format at once. The date is parsed only once.
+ * Parsed results that a format has no modifier for are left out, and a format
+ * that has no modifier for any of them gets the error instead.
+ */
+guessFormat.guessAllFormats = function guessAllFormats(date: Date): AllFormats {
+	const refinedParsedResults = parseTokens(date);
+	const allFormats: AllFormats = {};
+	Guesser.getFormats().forEach(format => {
+		const matchedFormats: Array<Format> = [];
+		let error: Error | undefined;
+		refinedParsedResults.forEach(r => {
+			try {
+				const copy = Guesser.copy(r);
+				Guesser.assign(copy.tokens, format);
+				matchedFormats.push(Guesser.getFormat(copy, format));
+			} catch (err) {
+				error = error || err as Error;
+			}
+		});
+		if (matchedFormats.length === 0) {
+			allFormats[format] = error as Error;
+			return;
+		}
+		allFormats[format] = (
+			matchedFormats.length === 1
+			? matchedFormats[0]
+			: matchedFormats
+		);
+	});
+	return allFormats;
+};
+
+/**
+ * Guesses the Intl.DateTimeFormat options that render the date instead of a
+ * format string, along with whether the en-US rendering matches the input exactly.
+ */
+guessFormat.guessIntlOptions = function guessIntlOptions(date: Date): Array<IntlFormatDetails> | IntlFormatDetails {
+	const refinedParsedResults = parseTokens(date);
+	let matchedOptions: Array<IntlFormatDetails> = [];
+	refinedParsedResults.forEach(r => matchedOptions.push(Guesser.getIntlFormatDetails(r)));
+	return (
+		matchedOptions.length === 1
+		? matchedOptions[0]
+		: matchedOptions
+	);
+};
+
+/**
+ * Converts a format string of one format to another without a sample date,
+ * e.g. a moment format to strftime. Throws with the tokens that have no equivalent.
+ */
+guessFormat.convertFormat = function convertFormatString(formatString: Format, fromFormat: string, toFormat: string): Format {
+	return convertFormat(formatString, fromFormat, toFormat);
+};
+
+export default guessFormat;
@@ -0,0 +1,126 @@
+import Token from './parsers/Token';
+import {
+	IntlOptions,
+} from './types';
+
+const monthNames = [
+	'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec',
+];
+
+let longOffsetSupported: boolean | undefined;
+
+/**
+ * Whether Intl.DateTimeFormat takes the "longOffset" time zone name, older
+ * engines(Node 14 and before) throw a RangeError for it
+ */
+function supportsLongOffset(): boolean {
+	if (longOffsetSupported === undefined) {
+		try {
+			new Intl.DateTimeFormat('en-US', { timeZoneName: 'longOffset' } as Intl.DateTimeFormatOptions);
+			longOffsetSupported = true;
+		} catch (err) {
+			longOffsetSupported = false;
+		}
+	}
+	return longOffsetSupported;
+}
+
+/**
+ * Picks the Intl.DateTimeFormat options closest to what the tokens show.
+ * Tokens Intl can't render, such as ISO weeks or the day of the year, are left out.
+ */
+export function getIntlOptions(tokens: Array<Token>): IntlOptions {
+	const options: IntlOptions = {};
+	tokens.forEach(token => {
+		const value = token.value;
+		switch (token.type) {
+			case 'dayOfWeek':
+				if (!/^\d/.test(value)) {
+					options.weekday = /day$/.test(value) ? 'long' : 'short';
+				}
+				break;
+			case 'year':
+				options.year = value.length === 2 ? '2-digit' : 'numeric';
+				break;
+			case 'month':
+				if (/^\d/.test(value)) {
+					options.month = /^\d{2}$/.test(value) ? '2-digit' : 'numeric';
+				} else {
+					options.month = value.length > 3 ? 'long' : 'short';
+				}
+				break;
+			case 'dayOfMonth':
+				options.day = /^\d{2}$/.test(value) ? '2-digit' : 'numeric';
+				break;
+			case 'twentyFourHour':
+			case 'twelveHour':
+				options.hour = value.length === 2 ? '2-digit' : 'numeric';
+				options.hourCycle = token.type === 'twelveHour' ? 'h12' : 'h23';
+				break;
+			case 'minute':
+				options.minute = '2-digit';
+				break;
+			case 'second':
+				options.second = '2-digit';
+				break;
+			case 'millisecond':
+				options.fractionalSecondDigits = Math.min(value.length, 3) as 1 | 2 | 3;
+				break;
+			case 'timezone':
+				// Without "longOffset" the offset renders as a name or as "GMT+1", never exactly
+				options.timeZoneName = /^[+-]/.test(value) && supportsLongOffset() ? 'longOffset' : 'short';
+				break;
+			case 'timezoneId':
+				options.timeZone = value;
+				break;
+		}
+	});
+	return options;
+}
+
+/**
+ * Renders the date the tokens describe with the options and the en-US locale,
+ * in UTC unless the tokens name a zone.
+ */
+export function renderIntlOptions(tokens: Array<Token>, options: IntlOptions): string {
+	const numberOf = (type: string, fallback: number): number => {
+		const token = tokens.find(t => t.type === type);
+		return token ? parseInt(token.value, 10) : fallback;
+	};
+
+	const year = numberOf('year', 2000);
+	const monthToken = tokens.find(t => t.type === 'month');
+	const month = monthToken && !/^\d/.test(monthToken.value)
+		? monthNames.indexOf(monthToken.value.slice(0, 3))
+		: numberOf('month', 1) - 1;
+
+	let hour = numberOf('twentyFourHour', numberOf('twelveHour', 0));
+	const meridiem = tokens.find(t => t.type === 'meridiem');
+	if (meridiem) {
+		hour = hour % 12 + (/^pm$/i.test(meridiem.value) ? 12 : 0);
+	}
+
+	const millisecond = tokens.find(t => t.type === 'millisecond');
+	let time = Date.UTC(
+		year < 100 ? 2000 + year : year,
+		month,
+		numberOf('dayOfMonth', 1),
+		hour,
+		numberOf('minute', 0),
+		numberOf('second', 0),
+		millisecond ? Number(`${millisecond.value}00`.slice(0, 3)) : 0
+	);
+
+	// Shift to the instant the offset describes, so the zone renders the same wall time
+	const timezone = tokens.find(t => t.type === 'timezone');
+	const offset = timezone && /^([+-])(\d{2}):?(\d{2})?$/.exec(timezone.value);
+	if (options.timeZone && offset) {
+		const minutes = Number(offset[2]) * 60 + Number(offset[3] || 0);
+		time -= (offset[1] === '-' ? -minutes : minutes) * 60000;
+	}
+
+	return new Intl.DateTimeFormat('en-US', {
+		...options,
+		timeZone: options.timeZone || 'UTC',
+	} as Intl.DateTimeFormatOptions).format(new Date(time));
+}
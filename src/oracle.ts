@@ -0,0 +1,14 @@
+import Token from './parsers/Token';
+
+// Elements whose width varies with the value besides the ones in fill mode
+const variableWidth = /FM|^TZ[DR]$/;
+
+/**
+ * TO_DATE skips over missing padding and extra blanks unless the format model
+ * starts with "FX". Whether every element of the format is padded to its full
+ * width, so that the input can be matched exactly
+ * https://docs.oracle.com/en/database/oracle/oracle-database/19/sqlrf/Format-Models.html
+ */
+export function isFixedWidth(tokens: Array<Token>): boolean {
+	return tokens.every(token => !variableWidth.test(token.format));
+}
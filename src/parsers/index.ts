@@ -125,6 +125,11 @@ const iSO8601BasicDateTimeFormatParser = new Parser(
 /**
  * ISO 8601
  * https://en.wikipedia.org/wiki/ISO_8601
+ *
+ * Optionally followed by a bracketed zone id, as produced by Java's
+ * DateTimeFormatter.ISO_ZONED_DATE_TIME
+ *
+ * - 2011-12-03T10:15:30+01:00[Europe/Paris]
  */
 const iSO8601ExtendedDateTimeFormatParser = new Parser(
 	'ISO8601ExtendedDateTimeFormatParser',
@@ -142,6 +147,7 @@ const iSO8601ExtendedDateTimeFormatParser = new Parser(
 			+ '(?<delim4>T| )'
 			+ '(?:(?<twentyFourHour>\\d{2})(?:(?<delim5>:)(?<minute>\\d{2})(?:(?<delim6>:)(?<second>\\d{2})(?:(?<delim7>[.,])(?<millisecond>\\d{1,9}))?)?)?)'
 			+ '(?<timezone>[+-]\\d{2}(?::?\\d{2})?|Z)?'
+			+ '(?:(?<delim8>\\[)(?<timezoneId>[A-Za-z_]+(?:\\/[A-Za-z0-9_+-]+)*)(?<delim9>\\]))?'
 		+ ')?'
 		+ '$'
 	)
@@ -223,6 +229,143 @@ const rFC2822DateTimeFormatParser = new Parser(
 	)
 );
 
+/**
+ * HTTP-date, as in Last-Modified, Expires and cookies. The preferred IMF-fixdate
+ * is also RFC 2822, the obsolete RFC 850 and asctime forms aren't
+ * https://tools.ietf.org/html/rfc7231#section-7.1.1.1
+ *
+ * - Sun, 06 Nov 1994 08:49:37 GMT
+ * - Sunday, 06-Nov-94 08:49:37 GMT
+ * - Sun Nov  6 08:49:37 1994
+ */
+const iMFFixdateHTTPDateFormatParser = new Parser(
+	'IMFFixdateHTTPDateFormatParser',
+	new RegExp('^'
+		+ '(?<dayOfWeek>Mon|Tue|Wed|Thu|Fri|Sat|Sun)(?<delim1>,)(?<delim2>\\s)'
+		+ '(?<dayOfMonth>\\d{2})(?<delim3>\\s)(?<month>Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)(?<delim4>\\s)(?<year>\\d{4})'
+		+ '(?<delim5>\\s)'
+		+ '(?<twentyFourHour>\\d{2})(?<delim6>:)(?<minute>\\d{2})(?<delim7>:)(?<second>\\d{2})'
+		+ '(?<delim8>\\s)'
+		+ '(?<timezone>GMT)'
+		+ '$'
+	)
+);
+
+const rFC850HTTPDateFormatParser = new Parser(
+	'RFC850HTTPDateFormatParser',
+	new RegExp('^'
+		+ '(?<dayOfWeek>Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)(?<delim1>,)(?<delim2>\\s)'
+		+ '(?<dayOfMonth>\\d{2})(?<delim3>-)(?<month>Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)(?<delim4>-)(?<year>\\d{2})'
+		+ '(?<delim5>\\s)'
+		+ '(?<twentyFourHour>\\d{2})(?<delim6>:)(?<minute>\\d{2})(?<delim7>:)(?<second>\\d{2})'
+		+ '(?<delim8>\\s)'
+		+ '(?<timezone>GMT)'
+		+ '$'
+	)
+);
+
+const asctimeHTTPDateFormatParser = new Parser(
+	'AsctimeHTTPDateFormatParser',
+	new RegExp('^'
+		+ '(?<dayOfWeek>Mon|Tue|Wed|Thu|Fri|Sat|Sun)(?<delim1>\\s)'
+		+ '(?<month>Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)(?<delim2>\\s)'
+		// The day is padded with a space
+		+ '(?<dayOfMonth> [1-9]|[1-2]\\d|3[0-1])'
+		+ '(?<delim3>\\s)'
+		+ '(?<twentyFourHour>\\d{2})(?<delim4>:)(?<minute>\\d{2})(?<delim5>:)(?<second>\\d{2})'
+		+ '(?<delim6>\\s)'
+		+ '(?<year>\\d{4})'
+		+ '$'
+	)
+);
+
+/**
+ * BSD syslog timestamps, without a year and with the day padded with a space,
+ * RFC 5424 ones are ISO 8601
+ * https://tools.ietf.org/html/rfc3164#section-4.1.2
+ *
+ * - Jan  1 10:00:00
+ * - Jan 10 10:00:00
+ */
+const rFC3164SyslogFormatParser = new Parser(
+	'RFC3164SyslogFormatParser',
+	new RegExp('^'
+		+ '(?<month>Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)(?<delim1>\\s)'
+		+ '(?<dayOfMonth> [1-9]|[1-2]\\d|3[0-1])'
+		+ '(?<delim2>\\s)'
+		+ '(?<twentyFourHour>[0-1]\\d|2[0-3])(?<delim3>:)(?<minute>[0-5]\\d)(?<delim4>:)(?<second>[0-5]\\d)'
+		+ '$'
+	)
+);
+
+/**
+ * Web server access logs, Apache's Common Log Format and Nginx's $time_local.
+ * The brackets around CLF timestamps are left out of the format, see
+ * LogBracketsRefiner
+ * https://httpd.apache.org/docs/current/logs.html#common
+ *
+ * - [10/Oct/2000:13:55:36 -0700]
+ * - 10/Oct/2000:13:55:36 -0700
+ */
+const commonLogFormatParser = new Parser(
+	'CommonLogFormatParser',
+	new RegExp('^'
+		// Both brackets or none
+		+ '(?:(?<openingBracket>\\[)(?=.*\\]$))?'
+		+ '(?<dayOfMonth>0[1-9]|[1-2]\\d|3[0-1])(?<delim1>\\/)'
+		+ '(?<month>Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)(?<delim2>\\/)'
+		+ '(?<year>\\d{4})'
+		+ '(?<delim3>:)'
+		+ '(?<twentyFourHour>[0-1]\\d|2[0-3])(?<delim4>:)(?<minute>[0-5]\\d)(?<delim5>:)(?<second>[0-5]\\d)'
+		+ '(?<delim6>\\s)'
+		+ '(?<timezone>[+-]\\d{4})'
+		+ '(?:(?<=^\\[.*)(?<closingBracket>\\]))?'
+		+ '$'
+	)
+);
+
+/**
+ * JavaScript's Date.prototype.toString and toDateString, toUTCString is RFC 2822
+ * https://tc39.es/ecma262/#sec-date.prototype.tostring
+ *
+ * - Wed Jan 01 2020
+ * - Wed Jan 01 2020 10:00:00 GMT+0530 (India Standard Time)
+ */
+const javaScriptDateStringFormatParser = new Parser(
+	'JavaScriptDateStringFormatParser',
+	new RegExp('^'
+		+ '(?<dayOfWeek>Sun|Mon|Tue|Wed|Thu|Fri|Sat)(?<delim1>\\s)'
+		+ '(?<month>Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)(?<delim2>\\s)'
+		+ '(?<dayOfMonth>\\d{2})(?<delim3>\\s)'
+		+ '(?<year>\\d{4})'
+		+ '(?:'
+			+ '(?<delim4>\\s)'
+			+ '(?<twentyFourHour>[0-1]\\d|2[0-3])(?<delim5>:)(?<minute>[0-5]\\d)(?<delim6>:)(?<second>[0-5]\\d)'
+			+ '(?<delim7>\\s)'
+			+ '(?<escapeText>GMT)(?<timezone>[+-]\\d{4})'
+			+ '(?:(?<delim8>\\s\\()(?<timezoneName>[^()]+)(?<delim9>\\)))?'
+		+ ')?'
+		+ '$'
+	)
+);
+
+/**
+ * JavaScript's Date.prototype.toTimeString
+ * https://tc39.es/ecma262/#sec-date.prototype.totimestring
+ *
+ * - 10:00:00 GMT+0530 (India Standard Time)
+ */
+const javaScriptTimeStringFormatParser = new Parser(
+	'JavaScriptTimeStringFormatParser',
+	new RegExp('^'
+		+ '(?<twentyFourHour>[0-1]\\d|2[0-3])(?<delim1>:)(?<minute>[0-5]\\d)(?<delim2>:)(?<second>[0-5]\\d)'
+		+ '(?<delim3>\\s)'
+		+ '(?<escapeText>GMT)(?<timezone>[+-]\\d{4})'
+		+ '(?:(?<delim4>\\s\\()(?<timezoneName>[^()]+)(?<delim5>\\)))?'
+		+ '$'
+	)
+);
+
 /*
  * YYYY/MM/DD [hh:mm a|A [abbr-tz]]
  * YYYY/M/D
@@ -464,10 +607,57 @@ const dashDelimitedWithMonthNameDateTimeFormatParser = new Parser(
 	)
 );
 
+/**
+ * Unix epoch timestamps in seconds and milliseconds, optionally with a fraction.
+ * Only dates between 2001-09-09 and 2286-11-20 are read, as their digit counts
+ * don't overlap and the unit follows from the length. Micro- and nanoseconds
+ * aren't read as no format has a modifier for them.
+ *
+ * - 1577836800
+ * - 1577836800.123
+ * - 1577836800123
+ */
+const epochTimestampFormatParser = new Parser(
+	'EpochTimestampFormatParser',
+	new RegExp('^'
+		+ '(?<epoch>[1-9](?:\\d{9}|\\d{12})(?:\\.\\d{1,9})?)'
+		+ '$'
+	)
+);
+
+/**
+ * ISO 8601 basic date and time without the "T", as found in file names and logs.
+ * Only valid calendar values are read, since these are digit runs like epoch timestamps
+ *
+ * - 2020010112
+ * - 202001011200
+ * - 20200101120000
+ */
+const compactDateTimeFormatParser = new Parser(
+	'CompactDateTimeFormatParser',
+	new RegExp('^'
+		+ '(?<year>\\d{4})'
+		+ '(?<month>0[1-9]|1[0-2])'
+		+ '(?<dayOfMonth>0[1-9]|[1-2]\\d|3[0-1])'
+		+ '(?<twentyFourHour>[0-1]\\d|2[0-3])'
+		+ '(?:(?<minute>[0-5]\\d)(?<second>[0-5]\\d)?)?'
+		+ '$'
+	)
+);
+
 const parsers = [
 	iSO8601ExtendedDateTimeFormatParser,
 	iSO8601BasicDateTimeFormatParser,
+	compactDateTimeFormatParser,
+	epochTimestampFormatParser,
 	rFC2822DateTimeFormatParser,
+	iMFFixdateHTTPDateFormatParser,
+	rFC850HTTPDateFormatParser,
+	asctimeHTTPDateFormatParser,
+	rFC3164SyslogFormatParser,
+	commonLogFormatParser,
+	javaScriptDateStringFormatParser,
+	javaScriptTimeStringFormatParser,
 	slashDelimitedDateTimeFormatParser,
 	uKStyleSlashDelimitedDateTimeFormatParser,
 	uSStyleSlashDelimitedDateTimeFormatParser,
@@ -0,0 +1,89 @@
+import Token from './parsers/Token';
+import {
+	Format,
+	LocalePresets,
+} from './types';
+
+/**
+ * moment's `en` long date formats
+ * https://momentjs.com/docs/#/displaying/format/ (Localized formats)
+ */
+export const enPresets: LocalePresets = {
+	LT: 'h:mm A',
+	LTS: 'h:mm:ss A',
+	L: 'MM/DD/YYYY',
+	LL: 'MMMM D, YYYY',
+	LLL: 'MMMM D, YYYY h:mm A',
+	LLLL: 'dddd, MMMM D, YYYY h:mm A',
+	l: 'M/D/YYYY',
+	ll: 'MMM D, YYYY',
+	lll: 'MMM D, YYYY h:mm A',
+	llll: 'ddd, MMM D, YYYY h:mm A',
+};
+
+const unpadded: { [format: string]: string } = {
+	DD: 'D',
+	MM: 'M',
+	hh: 'h',
+	HH: 'H',
+};
+
+/**
+ * Formats the token could be written with, "30" reads the same with "D" and "DD"
+ */
+function alternativesOf(token: Token): Array<Format> {
+	const format = token.format || token.value;
+	const shorter = unpadded[token.format];
+	return shorter && /^[1-9]\d$/.test(token.value) ? [format, shorter] : [format];
+}
+
+/**
+ * Returns the index of the token after the ones that spell out the expansion,
+ * or -1 when the tokens from `start` on don't.
+ */
+function matchAt(tokens: Array<Token>, start: number, expansion: string): number {
+	if (expansion === '') {
+		return start;
+	}
+	if (start >= tokens.length) {
+		return -1;
+	}
+	for (const alternative of alternativesOf(tokens[start])) {
+		if (expansion.startsWith(alternative)) {
+			const end = matchAt(tokens, start + 1, expansion.slice(alternative.length));
+			if (end !== -1) {
+				return end;
+			}
+		}
+	}
+	return -1;
+}
+
+/**
+ * Builds the format string, replacing runs of tokens that spell out a preset
+ * with the preset's name, longest preset first(e.g. "dddd, LL").
+ */
+export function getPresetFormatString(tokens: Array<Token>, presets: LocalePresets): Format {
+	const names = Object.keys(presets).sort((a, b) => presets[b].length - presets[a].length);
+	let formatString: Format = '';
+	let index = 0;
+	while (index < tokens.length) {
+		let end = -1;
+		let preset = '';
+		for (const name of names) {
+			end = matchAt(tokens, index, presets[name]);
+			if (end !== -1) {
+				preset = name;
+				break;
+			}
+		}
+		if (end !== -1) {
+			formatString += preset;
+			index = end;
+		} else {
+			formatString += tokens[index].format || tokens[index].value;
+			index++;
+		}
+	}
+	return formatString;
+}
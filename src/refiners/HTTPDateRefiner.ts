@@ -0,0 +1,25 @@
+import {
+	ParsedResult,
+	IRefiner,
+} from '../types';
+
+/**
+ * IMF-fixdate is a stricter RFC 2822, keeps only the former to label the
+ * result with the HTTP-date form it matched
+ */
+class HTTPDateRefiner implements IRefiner {
+	public readonly name: string;
+
+	constructor(name: string) {
+		this.name = name;
+	}
+
+	refine(parsedResults: Array<ParsedResult>): Array<ParsedResult> {
+		if (!parsedResults.some(r => r.parser === 'IMFFixdateHTTPDateFormatParser')) {
+			return parsedResults;
+		}
+		return parsedResults.filter(r => r.parser !== 'RFC2822DateTimeFormatParser');
+	}
+}
+
+export default HTTPDateRefiner;
@@ -0,0 +1,34 @@
+import {
+	ParsedResult,
+	IRefiner,
+} from '../types';
+
+class ISOWeekYearRefiner implements IRefiner {
+	public readonly name: string;
+
+	constructor(name: string) {
+		this.name = name;
+	}
+
+	refine(parsedResults: Array<ParsedResult>): Array<ParsedResult> {
+		parsedResults.forEach(r => {
+			let isoWeekExists = false;
+			r.tokens.forEach(t => {
+				if (t.type === 'isoWeekOfYear') {
+					isoWeekExists = true;
+				}
+			});
+			if (isoWeekExists) {
+				r.tokens.forEach(t => {
+					if (t.type === 'year') {
+						t.type = 'isoWeekYear';
+					}
+				});
+			}
+		});
+
+		return parsedResults;
+	}
+}
+
+export default ISOWeekYearRefiner;
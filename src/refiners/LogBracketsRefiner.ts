@@ -0,0 +1,38 @@
+import {
+	ParsedResult,
+	IRefiner,
+} from '../types';
+
+const bracketTypes = ['openingBracket', 'closingBracket'];
+
+/**
+ * Access logs wrap timestamps in brackets that aren't part of the date, strips
+ * them from the tokens and reports it
+ */
+class LogBracketsRefiner implements IRefiner {
+	public readonly name: string;
+
+	constructor(name: string) {
+		this.name = name;
+	}
+
+	refine(parsedResults: Array<ParsedResult>): Array<ParsedResult> {
+		return parsedResults.map(r => {
+			const brackets = r.tokens.filter(t => bracketTypes.indexOf(t.type) !== -1);
+			if (brackets.length === 0) {
+				return r;
+			}
+			const input = r.tokens.map(t => t.value).join('');
+			return {
+				...r,
+				tokens: r.tokens.filter(t => bracketTypes.indexOf(t.type) === -1),
+				warnings: [
+					...(r.warnings || []),
+					`The brackets around "${input}" aren't part of the date and are left out of the format, strip them before parsing`,
+				],
+			};
+		});
+	}
+}
+
+export default LogBracketsRefiner;
@@ -14,7 +14,14 @@ class StandardFormatParsersRefiner implements IRefiner {
 		const res = parsedResults.filter(r => {
 			return r.parser === 'ISO8601ExtendedDateTimeFormatParser' ||
 				r.parser === 'ISO8601BasicDateTimeFormatParser' ||
-				r.parser === 'RFC2822DateTimeFormatParser';
+				r.parser === 'CompactDateTimeFormatParser' ||
+				r.parser === 'EpochTimestampFormatParser' ||
+				r.parser === 'RFC2822DateTimeFormatParser' ||
+				r.parser === 'IMFFixdateHTTPDateFormatParser' ||
+				r.parser === 'RFC850HTTPDateFormatParser' ||
+				r.parser === 'AsctimeHTTPDateFormatParser' ||
+				r.parser === 'RFC3164SyslogFormatParser' ||
+				r.parser === 'CommonLogFormatParser';
 		});
 		if (res.length === 0) {
 			return parsedResults;
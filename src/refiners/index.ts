@@ -1,12 +1,21 @@
 import StandardFormatParsersRefiner from './StandardFormatParsersRefiner';
 import TimeFormatRefiner from './TimeFormatRefiner';
+import ISOWeekYearRefiner from './ISOWeekYearRefiner';
+import HTTPDateRefiner from './HTTPDateRefiner';
+import LogBracketsRefiner from './LogBracketsRefiner';
 
 const timeFormatRefiner = new TimeFormatRefiner('TimeFormatRefiner');
 const standardFormatParsersRefiner = new StandardFormatParsersRefiner('StandardFormatParsersRefiner');
+const iSOWeekYearRefiner = new ISOWeekYearRefiner('ISOWeekYearRefiner');
+const hTTPDateRefiner = new HTTPDateRefiner('HTTPDateRefiner');
+const logBracketsRefiner = new LogBracketsRefiner('LogBracketsRefiner');
 
 const refiners = [
 	standardFormatParsersRefiner,
+	hTTPDateRefiner,
+	logBracketsRefiner,
 	timeFormatRefiner,
+	iSOWeekYearRefiner,
 ];
 
 export default refiners;
@@ -0,0 +1,63 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+const dateTypes = [
+	'year', 'month', 'dayOfMonth', 'dayOfYear', 'dayOfWeek',
+	'isoWeekYear', 'isoWeekOfYear', 'isoDayOfWeek',
+];
+
+class ChronoReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	/**
+	 * Picks the type to call parse_from_str on from the fields the format reads,
+	 * a DateTime needs an offset, a date and a time. An epoch timestamp is both.
+	 */
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		const has = (type: string) => tokens.some(token => token.type === type);
+		const hasOffset = tokens.some(token => /^%[:#]?z$/.test(token.format));
+		const hasEpoch = has('epoch');
+		const hasDate = hasEpoch || dateTypes.some(has);
+		const hasTime = hasEpoch || has('twentyFourHour') || has('twelveHour');
+
+		if (hasOffset && hasDate && hasTime) {
+			details.parseWith = 'DateTime::parse_from_str';
+		} else if (hasDate && hasTime) {
+			details.parseWith = 'NaiveDateTime::parse_from_str';
+		} else if (hasDate) {
+			details.parseWith = 'NaiveDate::parse_from_str';
+		} else {
+			details.parseWith = 'NaiveTime::parse_from_str';
+		}
+
+		// https://docs.rs/chrono/latest/chrono/format/parse/struct.Parsed.html
+		const hasFullDate = hasEpoch
+			|| (has('year') && has('month') && has('dayOfMonth'))
+			|| (has('year') && has('dayOfYear'))
+			|| (has('isoWeekYear') && has('isoWeekOfYear') && (has('isoDayOfWeek') || has('dayOfWeek')));
+		if (hasDate && !hasFullDate) {
+			details.warnings.push(`${details.parseWith} fails with NOT_ENOUGH unless the date is complete`);
+		}
+		if (hasTime && !hasEpoch && !has('minute')) {
+			details.warnings.push(`${details.parseWith} fails with NOT_ENOUGH without the minutes`);
+		}
+		tokens.forEach(token => {
+			if (token.format === '%Z') {
+				details.warnings.push(`"%Z" skips "${token.value}" when parsing, the timezone is lost`);
+			} else if (token.type === 'timezone' && /^[Zz]$/.test(token.format)) {
+				details.warnings.push(`"${token.value}" is matched as literal text, the result has no offset`);
+			}
+		});
+	}
+}
+
+export default ChronoReporter;
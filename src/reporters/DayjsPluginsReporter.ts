@@ -0,0 +1,51 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+class DayjsPluginsReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	private _plugins: Map<RegExp, Array<string>>;
+	private _formatOnly: RegExp;
+	private _parseOnly: RegExp;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+		this._plugins = new Map();
+
+		// https://day.js.org/docs/en/plugin/advanced-format
+		this._plugins.set(/^Do$/, ['advancedFormat']);
+		this._plugins.set(/^(?:W|WW|Wo|GGGG)$/, ['advancedFormat', 'isoWeek']);
+		this._plugins.set(/^[Xx]$/, ['advancedFormat']);
+		this._plugins.set(/^z$/, ['advancedFormat', 'timezone']);
+
+		// https://day.js.org/docs/en/plugin/custom-parse-format
+		this._formatOnly = /^(?:d|dd|ddd|dddd|W|WW|Wo|GGGG|z)$/;
+		this._parseOnly = /^(?:S|SS)$/;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		// Parsing with a format string always needs customParseFormat
+		const plugins = new Set(['customParseFormat']);
+		tokens.forEach(token => {
+			this._plugins.forEach((tokenPlugins, pattern) => {
+				if (pattern.test(token.format)) {
+					tokenPlugins.forEach(plugin => plugins.add(plugin));
+				}
+			});
+			if (this._formatOnly.test(token.format)) {
+				details.warnings.push(`Day.js can format "${token.format}" but cannot parse "${token.value}" with it`);
+			}
+			if (this._parseOnly.test(token.format)) {
+				details.warnings.push(`Day.js can parse "${token.value}" with "${token.format}" but formats milliseconds as "SSS" only`);
+			}
+		});
+		details.plugins = [...plugins];
+	}
+}
+
+export default DayjsPluginsReporter;
@@ -0,0 +1,36 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+class DotnetReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		tokens.forEach(token => {
+			const ordinal = /^\d+(st|nd|rd|th)$/.exec(token.value);
+			if (ordinal) {
+				details.warnings.push(
+					`DateTime.ParseExact can't parse the ordinal suffix "${ordinal[1]}" of "${token.value}", strip it before parsing`
+				);
+			}
+			if (token.type === 'timezone' && token.format === `'${token.value}'`) {
+				details.warnings.push(
+					`DateTime.ParseExact has no specifier for the timezone abbreviation "${token.value}", it's kept as literal text`
+				);
+			}
+			if (token.format === 'zzz' && !/:/.test(token.value)) {
+				details.warnings.push(`"zzz" parses "${token.value}" but formats the offset with a colon`);
+			}
+		});
+	}
+}
+
+export default DotnetReporter;
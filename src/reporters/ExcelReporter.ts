@@ -0,0 +1,51 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+class ExcelReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		// Delimiters don't count when deciding whether "m" stands for minutes
+		const fields = tokens.filter(token => token.type !== 'delimiter');
+
+		tokens.forEach((token, index) => {
+			const previous = tokens[index - 1];
+			if (token.type === 'millisecond' && /^0+$/.test(token.format) && (!previous || previous.value !== '.')) {
+				details.warnings.push(`Spreadsheets only display fractions of a second after a ".", "${token.value}" isn't preceded by one`);
+			}
+		});
+
+		fields.forEach((token, index) => {
+			const ordinal = /^\d+(st|nd|rd|th)$/.exec(token.value);
+			if (token.type === 'timezone' && /^".*"$/.test(token.format)) {
+				details.warnings.push(`Spreadsheets can't display "${token.value}", it's kept as literal text`);
+			} else if (ordinal) {
+				details.warnings.push(`Spreadsheets can't display ordinal suffixes, "${ordinal[1]}" of "${token.value}" is kept as literal text`);
+			}
+
+			// https://support.microsoft.com/en-us/office/format-numbers-as-dates-or-times-418bd3fe-0577-47c8-8caa-b4d30c528309
+			if (/^mm?$/.test(token.format)) {
+				const previous = fields[index - 1];
+				const next = fields[index + 1];
+				const readAsMinute = Boolean(previous && /^hh?$/.test(previous.format))
+					|| Boolean(next && /^ss?$/.test(next.format));
+				if (token.type === 'month' && readAsMinute) {
+					details.warnings.push(`Spreadsheets read "${token.format}" as minutes next to hours or seconds`);
+				} else if (token.type === 'minute' && !readAsMinute) {
+					details.warnings.push(`Spreadsheets read "${token.format}" as the month unless it follows hours or precedes seconds`);
+				}
+			}
+		});
+	}
+}
+
+export default ExcelReporter;
@@ -0,0 +1,120 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+const timezoneElements = ['070000', '07:00:00', '0700', '07:00', '07'];
+
+/**
+ * Returns the length of the layout element starting at `i`, or 0 when
+ * Go reads the character as literal text. Mirrors `nextStdChunk` of Go's
+ * time package (https://github.com/golang/go/blob/master/src/time/format.go)
+ */
+function elementLength(layout: string, i: number): number {
+	const rest = layout.slice(i);
+	switch (layout[i]) {
+		case 'J':
+			if (rest.startsWith('January')) {
+				return 7;
+			}
+			return rest.startsWith('Jan') && !/^[a-z]/.test(rest.slice(3)) ? 3 : 0;
+		case 'M':
+			if (rest.startsWith('Monday')) {
+				return 6;
+			}
+			if (rest.startsWith('Mon')) {
+				return /^[a-z]/.test(rest.slice(3)) ? 0 : 3;
+			}
+			return rest.startsWith('MST') ? 3 : 0;
+		case '0':
+			if (/^0[1-6]/.test(rest)) {
+				return 2;
+			}
+			return rest.startsWith('002') ? 3 : 0;
+		case '1':
+			return rest.startsWith('15') ? 2 : 1;
+		case '2':
+			return rest.startsWith('2006') ? 4 : 1;
+		case '_':
+			// "_2006" is a literal "_" followed by the year
+			if (rest.startsWith('_2') && !rest.startsWith('_2006')) {
+				return 2;
+			}
+			return rest.startsWith('__2') ? 3 : 0;
+		case '3':
+		case '4':
+		case '5':
+			return 1;
+		case 'P':
+			return rest.startsWith('PM') ? 2 : 0;
+		case 'p':
+			return rest.startsWith('pm') ? 2 : 0;
+		case '-':
+		case 'Z': {
+			const element = timezoneElements.find(e => rest.startsWith(e, 1));
+			return element ? element.length + 1 : 0;
+		}
+		case '.':
+		case ',': {
+			// Only a run of 0s or 9s not followed by another digit is a fraction
+			const fraction = /^.(0+|9+)(\d?)/.exec(rest);
+			return fraction && !fraction[2] ? fraction[1].length + 1 : 0;
+		}
+		default:
+			return 0;
+	}
+}
+
+class GoReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	/**
+	 * Go layouts have no way of escaping text, so check that the layout reads
+	 * back as the elements it was built from, and nothing else
+	 */
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		const layout = details.format;
+		const expected = new Set<string>();
+		let position = 0;
+		tokens.forEach((token, index) => {
+			const text = token.format || token.value;
+			if (token.type !== 'delimiter' && token.type !== 'escapeText' && token.format !== 'z') {
+				// The fractional second element starts at its "." or ","
+				const previous = tokens[index - 1];
+				const start = token.type === 'millisecond' && previous && /^[.,]$/.test(previous.value)
+					? position - 1
+					: position;
+				expected.add(`${start}:${position + text.length}`);
+			}
+			position += text.length;
+		});
+
+		const found = new Set<string>();
+		for (let i = 0; i < layout.length; i++) {
+			const length = elementLength(layout, i);
+			if (length) {
+				found.add(`${i}:${i + length}`);
+				if (!expected.has(`${i}:${i + length}`)) {
+					details.warnings.push(`Go reads "${layout.slice(i, i + length)}" in "${layout}" as a layout element, not as literal text`);
+				}
+				i += length - 1;
+			}
+		}
+
+		expected.forEach(range => {
+			if (!found.has(range)) {
+				const [start, end] = range.split(':').map(Number);
+				details.warnings.push(`Go reads "${layout.slice(start, end)}" in "${layout}" as literal text, not as a layout element`);
+			}
+		});
+	}
+}
+
+export default GoReporter;
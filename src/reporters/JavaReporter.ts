@@ -0,0 +1,34 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+class JavaReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		if (tokens.some(token => token.type === 'isoWeekOfYear')) {
+			details.warnings.push(
+				'Week based fields follow the locale\'s week definition, use a locale with ISO weeks(e.g. Locale.UK)'
+				+ (this.format === 'java' ? ' or DateTimeFormatter.ISO_WEEK_DATE' : '')
+			);
+		}
+
+		// SimpleDateFormat matches text case-insensitively, DateTimeFormatter doesn't by default
+		const meridiem = tokens.find(token => token.type === 'meridiem');
+		if (this.format === 'java' && meridiem && meridiem.value !== meridiem.value.toUpperCase()) {
+			details.warnings.push(
+				`"${meridiem.value}" only parses with DateTimeFormatterBuilder.parseCaseInsensitive()`
+			);
+		}
+	}
+}
+
+export default JavaReporter;
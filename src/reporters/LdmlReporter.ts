@@ -0,0 +1,27 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+class LdmlReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		tokens.forEach(token => {
+			if (token.format === 'zzz') {
+				details.warnings.push(
+					`date-fns can format "zzz" but parse cannot parse "${token.value}" with it`
+				);
+			}
+		});
+	}
+}
+
+export default LdmlReporter;
@@ -0,0 +1,27 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+class LuxonReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		tokens.forEach(token => {
+			if (token.format === 'ZZZZ') {
+				details.warnings.push(
+					`Luxon can format "ZZZZ" but DateTime.fromFormat cannot parse "${token.value}" with it, parse the offset instead`
+				);
+			}
+		});
+	}
+}
+
+export default LuxonReporter;
@@ -0,0 +1,33 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+class MysqlReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		tokens.forEach(token => {
+			// https://dev.mysql.com/doc/refman/8.0/en/date-and-time-functions.html#function_date-format
+			if (token.type === 'timezone') {
+				details.warnings.push(`MySQL has no timezone directive, "${token.value}" is matched as literal text and ignored`);
+			}
+		});
+
+		// A year and week don't make a date on their own
+		const hasWeek = tokens.some(token => token.format === '%v');
+		const hasWeekday = tokens.some(token => token.type === 'dayOfWeek');
+		if (hasWeek && !hasWeekday) {
+			details.warnings.push('STR_TO_DATE needs a weekday along with "%x" and "%v" to build a date');
+		}
+	}
+}
+
+export default MysqlReporter;
@@ -0,0 +1,32 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+// Suffixes and ISO week elements are only valid for output
+const formatOnly = /^(?:FM)?(?:(?:MM|DDD?|IW)th|IYYY|IY|IW)(?:FM)?$/;
+
+class OracleReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		tokens.forEach(token => {
+			// https://docs.oracle.com/en/database/oracle/oracle-database/19/sqlrf/Format-Models.html
+			if (formatOnly.test(token.format)) {
+				details.warnings.push(`TO_CHAR can format "${token.format}" but TO_DATE cannot parse "${token.value}" with it`);
+			}
+			if (token.format === 'TZD' && !tokens.some(t => t.format === 'TZR')) {
+				details.warnings.push(`"TZD" only reads "${token.value}" along with a "TZR" region`);
+			}
+		});
+	}
+}
+
+export default OracleReporter;
@@ -0,0 +1,30 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+class PhpReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		tokens.forEach(token => {
+			if (token.type === 'dayOfYear') {
+				details.warnings.push(`PHP's "z" counts days from 0, "${token.value}" is read as day ${Number(token.value) + 1} of the year`);
+			}
+
+			// https://www.php.net/manual/en/datetimeimmutable.createfromformat.php
+			if (/^[WoN]$/.test(token.format)) {
+				details.warnings.push(`date() can format "${token.format}" but createFromFormat cannot parse "${token.value}" with it`);
+			}
+		});
+	}
+}
+
+export default PhpReporter;
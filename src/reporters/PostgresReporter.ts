@@ -0,0 +1,29 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+// Patterns to_char understands but to_timestamp doesn't
+const formatOnly = new Set(['TZ', 'tz']);
+
+class PostgresReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		tokens.forEach(token => {
+			// https://www.postgresql.org/docs/current/functions-formatting.html
+			if (formatOnly.has(token.format)) {
+				details.warnings.push(`to_char can format "${token.format}" but to_timestamp cannot parse "${token.value}" with it`);
+			}
+		});
+	}
+}
+
+export default PostgresReporter;
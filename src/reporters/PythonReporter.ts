@@ -0,0 +1,33 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+class PythonReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		tokens.forEach(token => {
+			const ordinal = /^\d+(st|nd|rd|th)$/.exec(token.value);
+			if (ordinal) {
+				details.warnings.push(
+					`strptime can't parse the ordinal suffix "${ordinal[1]}" of "${token.value}", strip it before parsing`
+				);
+			}
+			if (token.format === '%Z' && !/^(?:UTC|GMT)$/.test(token.value)) {
+				details.warnings.push(
+					`"%Z" only parses UTC, GMT and the local timezone's names, "${token.value}" may have to be replaced by its offset`
+				);
+			}
+		});
+	}
+}
+
+export default PythonReporter;
@@ -0,0 +1,39 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+/**
+ * Warns about space padded days of month(asctime, syslog) in formats that
+ * have no modifier for them, where the day is a space followed by the
+ * unpadded day, or the zero padded day
+ */
+class SpacePaddedDayReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		tokens.forEach(token => {
+			if (token.type !== 'dayOfMonth' || !/^ \d$/.test(token.value)) {
+				return;
+			}
+			if (token.format.startsWith(' ')) {
+				details.warnings.push(
+					`No space padded day of month modifier, "${token.format}" writes the space before two digit days as well`
+				);
+			} else {
+				details.warnings.push(
+					`No space padded day of month modifier, "${token.format}" reads "${token.value}" but writes a zero padded day`
+				);
+			}
+		});
+	}
+}
+
+export default SpacePaddedDayReporter;
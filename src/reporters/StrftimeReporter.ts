@@ -0,0 +1,27 @@
+import Token from '../parsers/Token';
+import {
+	FormatDetails,
+	IReporter,
+} from '../types';
+
+class StrftimeReporter implements IReporter {
+	public readonly name: string;
+	public readonly format: string;
+
+	constructor(name: string, format: string) {
+		this.name = name;
+		this.format = format;
+	}
+
+	report(tokens: Array<Token>, details: FormatDetails): void {
+		tokens.forEach(token => {
+			if (token.format === '%L' && token.value.length > 3) {
+				details.warnings.push(
+					`"%L" only stands for milliseconds, "${token.value}" is written back with 3 digits`
+				);
+			}
+		});
+	}
+}
+
+export default StrftimeReporter;
@@ -0,0 +1,67 @@
+import ChronoReporter from './ChronoReporter';
+import DayjsPluginsReporter from './DayjsPluginsReporter';
+import DotnetReporter from './DotnetReporter';
+import ExcelReporter from './ExcelReporter';
+import GoReporter from './GoReporter';
+import JavaReporter from './JavaReporter';
+import LdmlReporter from './LdmlReporter';
+import LuxonReporter from './LuxonReporter';
+import MysqlReporter from './MysqlReporter';
+import OracleReporter from './OracleReporter';
+import PhpReporter from './PhpReporter';
+import PostgresReporter from './PostgresReporter';
+import PythonReporter from './PythonReporter';
+import SpacePaddedDayReporter from './SpacePaddedDayReporter';
+import StrftimeReporter from './StrftimeReporter';
+
+const strftimeReporter = new StrftimeReporter('StrftimeReporter', 'strftime');
+const luxonReporter = new LuxonReporter('LuxonReporter', 'luxon');
+const ldmlReporter = new LdmlReporter('LdmlReporter', 'ldml');
+const dayjsPluginsReporter = new DayjsPluginsReporter('DayjsPluginsReporter', 'dayjs');
+const javaReporter = new JavaReporter('JavaReporter', 'java');
+const legacyJavaReporter = new JavaReporter('JavaReporter', 'java:legacy');
+const pythonReporter = new PythonReporter('PythonReporter', 'python');
+const dotnetReporter = new DotnetReporter('DotnetReporter', 'dotnet');
+const phpReporter = new PhpReporter('PhpReporter', 'php');
+const goReporter = new GoReporter('GoReporter', 'go');
+const postgresReporter = new PostgresReporter('PostgresReporter', 'postgres');
+const mysqlReporter = new MysqlReporter('MysqlReporter', 'mysql');
+const oracleReporter = new OracleReporter('OracleReporter', 'oracle');
+const excelReporter = new ExcelReporter('ExcelReporter', 'excel');
+const chronoReporter = new ChronoReporter('ChronoReporter', 'chrono');
+const spacePaddedDayReporters = [
+	'default',
+	'luxon',
+	'ldml',
+	'dayjs',
+	'java:legacy',
+	'python',
+	'dotnet',
+	'php',
+	'postgres',
+	'mysql',
+	'oracle',
+	'oracle:snowflake',
+	'excel',
+].map(format => new SpacePaddedDayReporter('SpacePaddedDayReporter', format));
+
+const reporters = [
+	strftimeReporter,
+	luxonReporter,
+	ldmlReporter,
+	dayjsPluginsReporter,
+	javaReporter,
+	legacyJavaReporter,
+	pythonReporter,
+	dotnetReporter,
+	phpReporter,
+	goReporter,
+	postgresReporter,
+	mysqlReporter,
+	oracleReporter,
+	excelReporter,
+	chronoReporter,
+	...spacePaddedDayReporters,
+];
+
+export default reporters;
@@ -3,10 +3,71 @@ import Token from './parsers/Token';
 export type Date = string;
 export type Format = string;
 
+/**
+ * Preset names mapped to the format they stand for, as in moment's
+ * `longDateFormat` locale option
+ */
+export interface LocalePresets {
+	[preset: string]: Format;
+}
+
+export interface GuessOptions {
+	// Replace moment's localized presets, with the `en` ones when `true`
+	presets?: boolean | LocalePresets;
+	// Replace tokens the format has no modifier for instead of throwing, see `FormatDetails.warnings`
+	fallback?: boolean;
+}
+
+export interface FormatDetails {
+	format: Format;
+	parser: string;
+	warnings: Array<string>;
+	plugins?: Array<string>;
+	// The function to parse with, when the format alone doesn't say
+	parseWith?: string;
+	// With `GuessOptions.fallback`, whether the format still reads and writes the input as is
+	roundTrip?: boolean;
+}
+
+/**
+ * The Intl.DateTimeFormat options the guesser can produce, declared here as
+ * the ES6 lib lacks hourCycle, fractionalSecondDigits and the offset names
+ */
+export interface IntlOptions {
+	weekday?: 'long' | 'short';
+	year?: 'numeric' | '2-digit';
+	month?: 'numeric' | '2-digit' | 'long' | 'short';
+	day?: 'numeric' | '2-digit';
+	hour?: 'numeric' | '2-digit';
+	minute?: '2-digit';
+	second?: '2-digit';
+	fractionalSecondDigits?: 1 | 2 | 3;
+	hourCycle?: 'h12' | 'h23';
+	timeZone?: string;
+	timeZoneName?: 'short' | 'longOffset';
+}
+
+/**
+ * Format guessed for each output format, or why there's none
+ */
+export interface AllFormats {
+	[format: string]: Format | Array<Format> | Error;
+}
+
+export interface IntlFormatDetails {
+	options: IntlOptions;
+	parser: string;
+	// What en-US renders with the options, and whether that's the input
+	rendered: string;
+	exact: boolean;
+}
+
 export interface ParsedResult {
 	tokens: Array<Token>;
 	index: number;
 	parser: string;
+	// What refiners changed about the input, reported along with every format
+	warnings?: Array<string>;
 }
 
 export interface IParser {
@@ -26,3 +87,9 @@ export interface IAssigner {
 	readonly format?: string;
 	assign(token: Token): void;
 }
+
+export interface IReporter {
+	readonly name: string;
+	readonly format: string;
+	report(tokens: Array<Token>, details: FormatDetails): void;
+}
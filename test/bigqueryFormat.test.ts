@@ -0,0 +1,35 @@
+import guessFormat from '../src';
+
+describe('BigQuery formats', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'bigquery')).toBe('%Y-%m-%d');
+		expect(guessFormat('2013-02-08T09:30:26Z', 'bigquery')).toBe('%Y-%m-%dT%H:%M:%SZ');
+		expect(guessFormat('2020-01-01T10:00:00+0530', 'bigquery')).toBe('%Y-%m-%dT%H:%M:%S%z');
+		expect(guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'bigquery')).toBe('%Y-%m-%dT%H:%M:%S%Ez[%Z]');
+		expect(guessFormat('2013-039', 'bigquery')).toBe('%Y-%j');
+	});
+
+	test('# fractional seconds', () => {
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'bigquery')).toBe('%Y-%m-%dT%H:%M:%E3S%Ez');
+		expect(guessFormat('20130208T093026.123456+0530', 'bigquery')).toBe('%Y%m%dT%H%M%E*S%z');
+		expect(guessFormat('10:00:00.123', 'bigquery')).toBe('%H:%M:%E3S');
+		expect(() => guessFormat('10:00:00,123', 'bigquery')).toThrow('Couldn\'t find bigquery modifier for "123"');
+	});
+
+	test('# ISO week dates', () => {
+		expect(guessFormat('2013-W06-5', 'bigquery')).toBe('%G-W%V-%u');
+		expect(guessFormat('2013-W06', 'bigquery')).toBe('%G-W%V');
+	});
+
+	test('# names', () => {
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'bigquery')).toBe('%a, %d %b %Y %H:%M:%S %z');
+		expect(guessFormat('Sunday, 01 January, 09:00 pm', 'bigquery')).toBe('%A, %d %B, %I:%M %P');
+	});
+
+	test('# no equivalent', () => {
+		expect(() => guessFormat('2020/1/1', 'bigquery')).toThrow('Couldn\'t find bigquery modifier for "1"');
+		expect(() => guessFormat('31.12.2020 9.00', 'bigquery')).toThrow('Couldn\'t find bigquery modifier for "9"');
+		expect(() => guessFormat('Fri, January 30th 2020, 10:00 AM', 'bigquery')).toThrow('Couldn\'t find bigquery modifier for "30th"');
+		expect(() => guessFormat('01/01/2020 10:00 AM PST', 'bigquery')).toThrow('Couldn\'t find bigquery modifier for "PST"');
+	});
+});
@@ -0,0 +1,94 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Rust chrono formats', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'chrono')).toBe('%Y-%m-%dT%H:%M:%S%.3f%:z');
+		expect(guessFormat('20130208T093026.123456+0530', 'chrono')).toBe('%Y%m%dT%H%M%S%.6f%z');
+		expect(guessFormat('2013-039', 'chrono')).toBe('%Y-%j');
+		expect(guessFormat('2013-W06-5', 'chrono')).toBe('%G-W%V-%u');
+		expect(guessFormat('+002020-10-10', 'chrono')).toBe('%Y-%m-%d');
+	});
+
+	test('# fractions of a second', () => {
+		expect(guessFormat('2013-02-08T09:30:26.123456789Z', 'chrono')).toBe('%Y-%m-%dT%H:%M:%S%.9fZ');
+		expect(guessFormat('2013-02-08T09:30:26.1+05', 'chrono')).toBe('%Y-%m-%dT%H:%M:%S%.f%#z');
+		expect(guessFormat('2013-02-08T09:30:26.1234', 'chrono')).toBe('%Y-%m-%dT%H:%M:%S%.f');
+		expect(() => guessFormat('2013-02-08T09:30:26,1234', 'chrono')).toThrow(Error("Couldn't find chrono modifier for \"1234\""));
+	});
+
+	test('# unpadded values', () => {
+		expect(guessFormat('2020/1/1', 'chrono')).toBe('%Y/%-m/%-d');
+		expect(guessFormat('31.12.2020 9.00', 'chrono')).toBe('%d.%m.%Y %-H.%M');
+		expect(guessFormat('Sunday, 1 January, 9:00 pm', 'chrono')).toBe('%A, %-d %B, %-I:%M %P');
+	});
+
+	test('# the type to parse with', () => {
+		expect(guessFormatDetails('Mon, 06 Mar 2017 21:22:23 +0000', 'chrono')).toEqual({
+			format: '%a, %d %b %Y %H:%M:%S %z',
+			parser: 'RFC2822DateTimeFormatParser',
+			warnings: [],
+			parseWith: 'DateTime::parse_from_str',
+		});
+		expect(guessFormatDetails('20130208T093026', 'chrono')).toEqual({
+			format: '%Y%m%dT%H%M%S',
+			parser: 'ISO8601BasicDateTimeFormatParser',
+			warnings: [],
+			parseWith: 'NaiveDateTime::parse_from_str',
+		});
+		expect(guessFormatDetails('2020-10-10', 'chrono')).toEqual({
+			format: '%Y-%m-%d',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: [],
+			parseWith: 'NaiveDate::parse_from_str',
+		});
+		expect(guessFormatDetails('10:00:00,123', 'chrono')).toEqual({
+			format: '%H:%M:%S,%3f',
+			parser: 'TwentyFourHourTimeFormatParser',
+			warnings: [],
+			parseWith: 'NaiveTime::parse_from_str',
+		});
+		expect(guessFormatDetails('1577836800', 'chrono')).toEqual({
+			format: '%s',
+			parser: 'EpochTimestampFormatParser',
+			warnings: [],
+			parseWith: 'NaiveDateTime::parse_from_str',
+		});
+	});
+
+	test('# timezones chrono can\'t read', () => {
+		expect(guessFormatDetails('6 Mar 17 21:22:23 GMT', 'chrono')).toEqual({
+			format: '%-d %b %y %H:%M:%S %Z',
+			parser: 'RFC2822DateTimeFormatParser',
+			warnings: ['"%Z" skips "GMT" when parsing, the timezone is lost'],
+			parseWith: 'NaiveDateTime::parse_from_str',
+		});
+		expect(guessFormatDetails('2013-02-08T09:30:26Z', 'chrono')).toEqual({
+			format: '%Y-%m-%dT%H:%M:%SZ',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: ['"Z" is matched as literal text, the result has no offset'],
+			parseWith: 'NaiveDateTime::parse_from_str',
+		});
+	});
+
+	test('# incomplete dates and times', () => {
+		expect(guessFormatDetails('2013-W06', 'chrono')).toEqual({
+			format: '%G-W%V',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: ['NaiveDate::parse_from_str fails with NOT_ENOUGH unless the date is complete'],
+			parseWith: 'NaiveDate::parse_from_str',
+		});
+		expect(guessFormatDetails('10 AM', 'chrono')).toEqual({
+			format: '%I %p',
+			parser: 'TwelveHourTimeFormatParser',
+			warnings: ['NaiveTime::parse_from_str fails with NOT_ENOUGH without the minutes'],
+			parseWith: 'NaiveTime::parse_from_str',
+		});
+	});
+
+	test('# tokens without a chrono equivalent', () => {
+		expect(() => guessFormat('Fri, January 30th 2020, 10:00 AM', 'chrono')).toThrow(Error("Couldn't find chrono modifier for \"30th\""));
+		expect(() => guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'chrono')).toThrow();
+	});
+});
@@ -0,0 +1,30 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Access log formats', () => {
+	test('# Common Log Format', () => {
+		expect(guessFormatDetails('[10/Oct/2000:13:55:36 -0700]')).toEqual({
+			format: 'DD/MMM/YYYY:HH:mm:ss ZZ',
+			parser: 'CommonLogFormatParser',
+			warnings: ['The brackets around "[10/Oct/2000:13:55:36 -0700]" aren\'t part of the date and are left out of the format, strip them before parsing'],
+		});
+		expect(guessFormat('[10/Oct/2000:13:55:36 -0700]', 'strftime')).toBe('%d/%b/%Y:%H:%M:%S %z');
+	});
+
+	test('# Nginx $time_local', () => {
+		expect(guessFormatDetails('10/Oct/2000:13:55:36 -0700')).toEqual({
+			format: 'DD/MMM/YYYY:HH:mm:ss ZZ',
+			parser: 'CommonLogFormatParser',
+			warnings: [],
+		});
+		expect(guessFormat('10/Oct/2000:13:55:36 -0700', 'strftime')).toBe('%d/%b/%Y:%H:%M:%S %z');
+		expect(guessFormat('10/Oct/2000:13:55:36 -0700', 'java')).toBe('dd/MMM/uuuu:HH:mm:ss Z');
+		expect(guessFormat('10/Oct/2000:13:55:36 -0700', 'go')).toBe('02/Jan/2006:15:04:05 -0700');
+	});
+
+	test('# unbalanced brackets', () => {
+		expect(() => guessFormat('[10/Oct/2000:13:55:36 -0700')).toThrow();
+		expect(() => guessFormat('10/Oct/2000:13:55:36 -0700]')).toThrow();
+	});
+});
@@ -0,0 +1,50 @@
+import guessFormat from '../src';
+
+const { convertFormat } = guessFormat;
+
+describe('Converting format strings', () => {
+	test('# from moment', () => {
+		expect(convertFormat('YYYY-MM-DD HH:mm:ss.SSS Z', 'default', 'strftime')).toBe('%Y-%m-%d %H:%M:%S.%L %:z');
+		expect(convertFormat('YYYY-MM-DDTHH:mm:ssZ', 'default', 'luxon')).toBe("yyyy-LL-dd'T'HH:mm:ssZZ");
+		expect(convertFormat('dddd, MMMM Do YYYY, h:mm:ss a', 'default', 'ldml')).toBe('EEEE, MMMM do yyyy, h:mm:ss aaa');
+		expect(convertFormat('[Today is] dddd', 'default', 'java')).toBe("'Today' 'is' EEEE");
+		expect(convertFormat('GGGG-[W]WW-E', 'default', 'ldml')).toBe("RRRR-'W'II-i");
+		expect(convertFormat('YYYY-MM-DD HH:mm:ss.SSSSSS', 'default', 'python')).toBe('%Y-%m-%d %H:%M:%S.%f');
+		expect(convertFormat('YYYY-MM-DD', 'default', 'go')).toBe('2006-01-02');
+	});
+
+	test('# to moment', () => {
+		expect(convertFormat("yyyy-MM-dd'T'HH:mm:ss.SSSXXX", 'ldml', 'default')).toBe('YYYY-MM-DD[T]HH:mm:ss.SSSZ');
+		expect(convertFormat('%Y-%m-%dT%H:%M:%S.%f%z', 'python', 'default')).toBe('YYYY-MM-DD[T]HH:mm:ss.SSSZ');
+		expect(convertFormat('Mon, 02 Jan 2006 15:04:05 -0700', 'go', 'default')).toBe('ddd, DD MMM YYYY HH:mm:ss ZZ');
+		expect(convertFormat('Y-m-d\\TH:i:sP', 'php', 'default')).toBe('YYYY-MM-DD[T]HH:mm:ssZ');
+		expect(convertFormat('FMDD "de" FMMonth YYYY HH24:MI:SS', 'postgres', 'default')).toBe('D [de] MMMM YYYY HH:mm:ss');
+		expect(convertFormat('h:mm AM/PM mm/dd/yyyy', 'excel', 'default')).toBe('h:mm A MM/DD/YYYY');
+	});
+
+	test('# between other formats', () => {
+		expect(convertFormat("yyyy-MM-dd'T'HH:mm:ss.SSSXXX", 'java', 'strftime')).toBe('%Y-%m-%dT%H:%M:%S.%L%:z');
+		expect(convertFormat('%Y-%m-%d %H:%M:%E3S%Ez', 'bigquery', 'python')).toBe('%Y-%m-%d %H:%M:%S.%f%z');
+		expect(convertFormat('YYYY-MM-DD HH:mm:ss.SSS', 'default', 'bigquery')).toBe('%Y-%m-%d %H:%M:%E3S');
+		expect(convertFormat('FXDD-Mon-YYYY HH24:MI', 'oracle', 'default')).toBe('DD-MMM-YYYY HH:mm');
+		expect(convertFormat('%Y-%m-%d %H:%M:%S%.3f', 'chrono', 'python')).toBe('%Y-%m-%d %H:%M:%S.%f');
+		expect(convertFormat('HH:mm:ss.SSSSSS', 'default', 'chrono')).toBe('%H:%M:%S%.6f');
+		expect(convertFormat('DD-MMM-YYYY HH:mm', 'default', 'oracle')).toBe('FXDD-Mon-YYYY HH24:MI');
+	});
+
+	test('# literal percent signs', () => {
+		expect(convertFormat('HH:mm [at] 100%', 'default', 'strftime')).toBe('%H:%M at 100%%');
+		expect(convertFormat('HH:mm [at] 100%', 'default', 'python')).toBe('%H:%M at 100%%');
+		expect(convertFormat('HH:mm [at] 100%', 'default', 'mysql')).toBe('%H:%i at 100%%');
+	});
+
+	test('# no equivalent', () => {
+		expect(() => convertFormat('D/M/YYYY h:mm', 'default', 'bigquery')).toThrow('Couldn\'t find bigquery modifier for "D", "M", "h"');
+		expect(() => convertFormat('YYYY-MM-DD HH:mm Z', 'default', 'mysql')).toThrow('Couldn\'t find mysql modifier for "Z"');
+		expect(() => convertFormat('YYYY-MM-DD HH:mm Z', 'default', 'excel')).toThrow('Couldn\'t find excel modifier for "Z"');
+		expect(() => convertFormat('Q YYYY', 'default', 'strftime')).toThrow('Couldn\'t find strftime modifier for "Q"');
+		expect(() => convertFormat('%C %Y', 'strftime', 'default')).toThrow('Couldn\'t find default modifier for "%C"');
+		expect(() => convertFormat('yyyy GGG', 'ldml', 'default')).toThrow('Couldn\'t find default modifier for "GGG"');
+		expect(() => convertFormat('YYYY', 'unknown', 'default')).toThrow('Unknown format "unknown"');
+	});
+});
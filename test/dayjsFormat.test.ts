@@ -0,0 +1,64 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Day.js formats', () => {
+	test('# moment compatible tokens', () => {
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'dayjs')).toBe('YYYY-MM-DDTHH:mm:ss.SSSZ');
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'dayjs')).toBe('ddd, DD MMM YYYY HH:mm:ss ZZ');
+		expect(guessFormat('31-Dec-2020 10:00 PM', 'dayjs')).toBe('DD-MMM-YYYY hh:mm A');
+	});
+
+	test('# customParseFormat is always required', () => {
+		expect(guessFormatDetails('2020-10-10', 'dayjs')).toEqual({
+			format: 'YYYY-MM-DD',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: [],
+			plugins: ['customParseFormat'],
+		});
+	});
+
+	test('# ordinal day of month requires advancedFormat', () => {
+		expect(guessFormatDetails('January 30th 2020, 10:00 AM', 'dayjs')).toEqual({
+			format: 'MMMM Do YYYY, hh:mm A',
+			parser: 'MonthNameAndDayOfMonthDateFormatParser',
+			warnings: [],
+			plugins: ['customParseFormat', 'advancedFormat'],
+		});
+	});
+
+	test('# ISO week requires isoWeek and cannot be parsed', () => {
+		expect(guessFormatDetails('2013-W06', 'dayjs')).toEqual({
+			format: 'GGGG-[W]WW',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: [
+				'Day.js can format "GGGG" but cannot parse "2013" with it',
+				'Day.js can format "WW" but cannot parse "06" with it',
+			],
+			plugins: ['customParseFormat', 'advancedFormat', 'isoWeek'],
+		});
+	});
+
+	test('# timezone abbreviation requires the timezone plugin', () => {
+		const details = guessFormatDetails('10:00 pm PST', 'dayjs');
+		expect(details).toHaveProperty('format', 'hh:mm a z');
+		expect(details).toHaveProperty('plugins', ['customParseFormat', 'advancedFormat', 'timezone']);
+		expect(details).toHaveProperty('warnings', ['Day.js can format "z" but cannot parse "PST" with it']);
+	});
+
+	test('# weekday names and single digit fractions', () => {
+		expect(guessFormatDetails('Sunday, 1st January', 'dayjs')).toHaveProperty('warnings', [
+			'Day.js can format "dddd" but cannot parse "Sunday" with it',
+		]);
+		expect(guessFormatDetails('2013-02-08T09:30:26.1', 'dayjs')).toHaveProperty('warnings', [
+			'Day.js can parse "1" with "S" but formats milliseconds as "SSS" only',
+		]);
+	});
+
+	test('# tokens without a Day.js equivalent', () => {
+		expect(() => guessFormat('+002020-10-10', 'dayjs')).toThrow(Error("Couldn't find dayjs modifier for \"+002020\""));
+		expect(() => guessFormat('2013-039', 'dayjs')).toThrow();
+		expect(() => guessFormat('2013-W06-5', 'dayjs')).toThrow();
+		expect(() => guessFormat('2013-02-08T09:30:26.123456', 'dayjs')).toThrow();
+	});
+});
@@ -0,0 +1,52 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('.NET custom date and time formats', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'dotnet')).toBe('yyyy-MM-dd');
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'dotnet')).toBe("yyyy-MM-dd'T'HH':'mm':'ss.fffzzz");
+		expect(guessFormat('2013-02-08T09:30:26.1234567Z', 'dotnet')).toBe("yyyy-MM-dd'T'HH':'mm':'ss.fffffffK");
+		expect(guessFormat('2013-02-08T09+05', 'dotnet')).toBe("yyyy-MM-dd'T'HHzz");
+	});
+
+	test('# culture sensitive separators are quoted', () => {
+		expect(guessFormat('31/12/2020', 'dotnet')).toBe("dd'/'MM'/'yyyy");
+		expect(guessFormat('31.12.2020 10.00', 'dotnet')).toBe('dd.MM.yyyy HH.mm');
+		expect(guessFormat('31-Dec-2020 10:00 PM', 'dotnet')).toBe("dd-MMM-yyyy hh':'mm tt");
+	});
+
+	test('# RFC 2822', () => {
+		expect(guessFormatDetails('Mon, 06 Mar 2017 21:22:23 +0000', 'dotnet')).toEqual({
+			format: "ddd, dd MMM yyyy HH':'mm':'ss zzz",
+			parser: 'RFC2822DateTimeFormatParser',
+			warnings: ['"zzz" parses "+0000" but formats the offset with a colon'],
+		});
+	});
+
+	test('# ordinal suffixes are reported', () => {
+		expect(guessFormatDetails('Fri, January 30th 2020, 10:00 AM', 'dotnet')).toEqual({
+			format: "ddd, MMMM d yyyy, hh':'mm tt",
+			parser: 'MonthNameAndDayOfMonthDateFormatParser',
+			warnings: [
+				'DateTime.ParseExact can\'t parse the ordinal suffix "th" of "30th", strip it before parsing',
+			],
+		});
+	});
+
+	test('# timezone abbreviations', () => {
+		expect(guessFormatDetails('10:00 pm PST', 'dotnet')).toEqual({
+			format: "hh':'mm tt 'PST'",
+			parser: 'TwelveHourTimeFormatParser',
+			warnings: [
+				'DateTime.ParseExact has no specifier for the timezone abbreviation "PST", it\'s kept as literal text',
+			],
+		});
+	});
+
+	test('# tokens without a .NET equivalent', () => {
+		expect(() => guessFormat('2013-W06-5', 'dotnet')).toThrow();
+		expect(() => guessFormat('2013-039', 'dotnet')).toThrow();
+		expect(() => guessFormat('2013-02-08T09:30:26.123456789', 'dotnet')).toThrow();
+	});
+});
@@ -0,0 +1,56 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Elasticsearch formats', () => {
+	test('# built-in ISO 8601 formats', () => {
+		expect(guessFormat('2020-10-10', 'elasticsearch')).toBe('strict_date');
+		expect(guessFormat('2020-10', 'elasticsearch')).toBe('strict_year_month');
+		expect(guessFormat('2020-10-10T10', 'elasticsearch')).toBe('strict_date_hour');
+		expect(guessFormat('2020-10-10T10:00', 'elasticsearch')).toBe('strict_date_hour_minute');
+		expect(guessFormat('2020-10-10T10:00:00', 'elasticsearch')).toBe('strict_date_hour_minute_second');
+		expect(guessFormat('2020-10-10T10:00:00.1', 'elasticsearch')).toBe('strict_date_hour_minute_second_fraction');
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'elasticsearch')).toBe('strict_date_time');
+		expect(guessFormat('2013-02-08T09:30:26Z', 'elasticsearch')).toBe('strict_date_time_no_millis');
+		expect(guessFormat('2020-10-10T10:00Z', 'elasticsearch')).toBe('strict_date_optional_time');
+	});
+
+	test('# built-in ordinal and week dates', () => {
+		expect(guessFormat('2013-039', 'elasticsearch')).toBe('strict_ordinal_date');
+		expect(guessFormat('2013-039T10:00:00.123Z', 'elasticsearch')).toBe('strict_ordinal_date_time');
+		expect(guessFormat('2013-W06', 'elasticsearch')).toBe('strict_weekyear_week');
+		expect(guessFormat('2013-W06-5', 'elasticsearch')).toBe('strict_week_date');
+		expect(guessFormat('2013-W06-5T10:00:00Z', 'elasticsearch')).toBe('strict_week_date_time_no_millis');
+	});
+
+	test('# built-in basic formats', () => {
+		expect(guessFormat('20130208', 'elasticsearch')).toBe('basic_date');
+		expect(guessFormat('2013039', 'elasticsearch')).toBe('basic_ordinal_date');
+		expect(guessFormat('2013W065', 'elasticsearch')).toBe('strict_basic_week_date');
+		expect(guessFormat('20130208T093026Z', 'elasticsearch')).toBe('basic_date_time_no_millis');
+		expect(guessFormat('20130208T093026.123456+0530', 'elasticsearch')).toBe('basic_date_time');
+	});
+
+	test('# built-in time formats', () => {
+		expect(guessFormat('10:00', 'elasticsearch')).toBe('strict_hour_minute');
+		expect(guessFormatDetails('10:00:00.123', 'elasticsearch')).toEqual({
+			format: 'strict_hour_minute_second_millis',
+			parser: 'TwentyFourHourTimeFormatParser',
+			warnings: [],
+		});
+	});
+
+	test('# custom patterns when no built-in format matches', () => {
+		expect(guessFormat('2020-10-10 10:00:00', 'elasticsearch')).toBe('uuuu-MM-dd HH:mm:ss');
+		expect(guessFormat('2020-01-01T10:00:00+0530', 'elasticsearch')).toBe("uuuu-MM-dd'T'HH:mm:ssZ");
+		expect(guessFormat('20130208T093026', 'elasticsearch')).toBe("uuuuMMdd'T'HHmmss");
+		expect(guessFormat('10:00:00,123', 'elasticsearch')).toBe('HH:mm:ss,SSS');
+		expect(guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'elasticsearch')).toBe("uuuu-MM-dd'T'HH:mm:ssXXX'['VV']'");
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'elasticsearch')).toBe('EEE, dd MMM uuuu HH:mm:ss Z');
+		expect(guessFormat('2020/1/1', 'elasticsearch')).toBe('uuuu/M/d');
+	});
+
+	test('# no equivalent', () => {
+		expect(() => guessFormat('Mo, 23rd Nov, 2020', 'elasticsearch')).toThrow('Couldn\'t find elasticsearch modifier for "Mo"');
+	});
+});
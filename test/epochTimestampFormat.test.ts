@@ -0,0 +1,53 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Epoch timestamps', () => {
+	test('# seconds', () => {
+		expect(guessFormat('1577836800')).toBe('X');
+		expect(guessFormat('1577836800', 'strftime')).toBe('%s');
+		expect(guessFormat('1577836800', 'luxon')).toBe('X');
+		expect(guessFormat('1577836800', 'ldml')).toBe('t');
+		expect(guessFormat('1577836800', 'php')).toBe('U');
+		expect(guessFormat('1577836800', 'elasticsearch')).toBe('epoch_second');
+	});
+
+	test('# fractional seconds', () => {
+		expect(guessFormat('1577836800.123')).toBe('X');
+		expect(guessFormat('1577836800.123', 'php')).toBe('U.u');
+		expect(() => guessFormat('1577836800.123', 'strftime')).toThrow('Couldn\'t find strftime modifier for "1577836800.123"');
+	});
+
+	test('# milliseconds', () => {
+		expect(guessFormat('1577836800123')).toBe('x');
+		expect(guessFormat('1577836800123', 'ldml')).toBe('T');
+		expect(guessFormat('1577836800123', 'elasticsearch')).toBe('epoch_millis');
+		expect(guessFormatDetails('1577836800123', 'dayjs')).toEqual({
+			format: 'x',
+			parser: 'EpochTimestampFormatParser',
+			warnings: [],
+			plugins: ['customParseFormat', 'advancedFormat'],
+		});
+	});
+
+	test('# micro- and nanoseconds', () => {
+		expect(() => guessFormat('1577836800123456')).toThrow('Couldn\'t parse date');
+		expect(() => guessFormat('1577836800123456789', 'strftime')).toThrow('Couldn\'t parse date');
+	});
+
+	test('# other lengths', () => {
+		expect(() => guessFormat('15778368001')).toThrow('Couldn\'t parse date');
+		// Before 2001-09-09
+		expect(() => guessFormat('0000000000')).toThrow('Couldn\'t parse date');
+		expect(() => guessFormat('0577836800123')).toThrow('Couldn\'t parse date');
+		expect(guessFormat('20200101')).toBe('YYYYMMDD');
+	});
+
+	test('# compact date and time', () => {
+		expect(guessFormat('20200101120000')).toBe('YYYYMMDDHHmmss');
+		expect(guessFormat('202001011200', 'strftime')).toBe('%Y%m%d%H%M');
+		// Both a date with the hour and a timestamp in 2034
+		expect(guessFormat('2020010112')).toEqual(['YYYYMMDDHH', 'X']);
+		expect(guessFormat('2020010112', 'strftime')).toEqual(['%Y%m%d%H', '%s']);
+	});
+});
@@ -0,0 +1,63 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Spreadsheet number formats', () => {
+	test('# dates and times', () => {
+		expect(guessFormat('2020-10-10', 'excel')).toBe('yyyy-mm-dd');
+		expect(guessFormat('2020/1/1', 'excel')).toBe('yyyy/m/d');
+		expect(guessFormat('31-Dec-2020', 'excel')).toBe('dd-mmm-yyyy');
+		expect(guessFormat('31.12.2020 9.00', 'excel')).toBe('dd.mm.yyyy h.mm');
+		expect(guessFormat('Sunday, 1 January, 9:00 pm', 'excel')).toBe('dddd, d mmmm, h:mm am/pm');
+		expect(guessFormat('20130208T093026', 'excel')).toBe('yyyymmdd"T"hhmmss');
+	});
+
+	test('# fractions of a second', () => {
+		expect(guessFormat('2013-02-08T09:30:26.123', 'excel')).toBe('yyyy-mm-dd"T"hh:mm:ss.000');
+		expect(guessFormatDetails('10:00:00,123', 'excel')).toEqual({
+			format: 'hh:mm:ss,000',
+			parser: 'TwentyFourHourTimeFormatParser',
+			warnings: ['Spreadsheets only display fractions of a second after a ".", "123" isn\'t preceded by one'],
+		});
+	});
+
+	test('# ordinal suffixes', () => {
+		expect(guessFormatDetails('Fri, January 30th 2020, 10:00 AM', 'excel')).toEqual({
+			format: 'ddd, mmmm dd"th" yyyy, hh:mm AM/PM',
+			parser: 'MonthNameAndDayOfMonthDateFormatParser',
+			warnings: ['Spreadsheets can\'t display ordinal suffixes, "th" of "30th" is kept as literal text'],
+		});
+	});
+
+	test('# timezones are kept as literal text', () => {
+		expect(guessFormatDetails('2013-02-08T09:30:26.123+05:30', 'excel')).toEqual({
+			format: 'yyyy-mm-dd"T"hh:mm:ss.000"+05:30"',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: ['Spreadsheets can\'t display "+05:30", it\'s kept as literal text'],
+		});
+		expect(guessFormatDetails('6 Mar 17 21:22:23 GMT', 'excel')).toEqual({
+			format: 'd mmm yy hh:mm:ss "GMT"',
+			parser: 'RFC2822DateTimeFormatParser',
+			warnings: ['Spreadsheets can\'t display "GMT", it\'s kept as literal text'],
+		});
+	});
+
+	test('# tokens without a spreadsheet equivalent', () => {
+		expect(() => guessFormat('2013-W06', 'excel')).toThrow(Error("Couldn't find excel modifier for \"2013\""));
+		expect(() => guessFormat('2020-W01-1', 'excel')).toThrow();
+		expect(() => guessFormat('1577836800', 'excel')).toThrow(Error("Couldn't find excel modifier for \"1577836800\""));
+		expect(() => guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'excel')).toThrow();
+	});
+
+	test('# fallback', () => {
+		expect(guessFormatDetails('2013-W06', 'excel', { fallback: true })).toEqual({
+			format: '"2013"-"W""06"',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: [
+				'No excel modifier for "2013", it\'s kept as literal text',
+				'No excel modifier for "06", it\'s kept as literal text',
+			],
+			roundTrip: false,
+		});
+	});
+});
@@ -0,0 +1,65 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Fallback for tokens without a modifier', () => {
+	test('# throws without the option', () => {
+		expect(() => guessFormat('Mo, 23rd Nov, 2020', 'strftime')).toThrow('Couldn\'t find strftime modifier for "Mo"');
+	});
+
+	test('# literal text', () => {
+		expect(guessFormat('Mo, 23rd Nov, 2020', 'strftime', { fallback: true })).toBe('Mo, %o %b, %Y');
+		expect(guessFormatDetails('Mo, 23rd Nov, 2020', 'strftime', { fallback: true })).toEqual({
+			format: 'Mo, %o %b, %Y',
+			parser: 'DayOfMonthAndMonthNameDateFormatParser',
+			warnings: ['No strftime modifier for "Mo", it\'s kept as literal text'],
+			roundTrip: true,
+		});
+		expect(guessFormatDetails('2011-12-03T10:15:30+01:00[Europe/Paris]', 'python', { fallback: true })).toEqual({
+			format: '%Y-%m-%dT%H:%M:%S%z[Europe/Paris]',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: ['No python modifier for "Europe/Paris", it\'s kept as literal text'],
+			roundTrip: false,
+		});
+	});
+
+	test('# padded directives for unpadded values', () => {
+		expect(guessFormatDetails('2020/1/1', 'bigquery', { fallback: true })).toEqual({
+			format: '%Y/%m/%d',
+			parser: 'SlashDelimitedDateFormatParser',
+			warnings: [
+				'"%m" stands for "1", it writes "01" and reads "1" only where parsing is lenient',
+				'"%d" stands for "1", it writes "01" and reads "1" only where parsing is lenient',
+			],
+			roundTrip: false,
+		});
+	});
+
+	test('# ordinals', () => {
+		expect(guessFormatDetails('Fri, January 30th 2020, 10:00 AM', 'bigquery', { fallback: true })).toEqual({
+			format: '%a, %B %dth %Y, %I:%M %p',
+			parser: 'MonthNameAndDayOfMonthDateFormatParser',
+			warnings: ['"%d" stands for "30" of "30th", the suffix "th" is kept as literal text'],
+			roundTrip: true,
+		});
+		expect(guessFormat('Sunday, 1st January, 09:00 pm', 'bigquery', { fallback: true })).toBe('%A, %dst %B, %I:%M %P');
+	});
+
+	test('# tokens combined by the format', () => {
+		expect(guessFormatDetails('10:00:00,123', 'bigquery', { fallback: true })).toEqual({
+			format: '%H:%M:%S,123',
+			parser: 'TwentyFourHourTimeFormatParser',
+			warnings: ['No bigquery modifier for "123", it\'s kept as literal text'],
+			roundTrip: false,
+		});
+	});
+
+	test('# nothing to substitute', () => {
+		expect(guessFormatDetails('2020-10-10', 'strftime', { fallback: true })).toEqual({
+			format: '%Y-%m-%d',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: [],
+			roundTrip: true,
+		});
+	});
+});
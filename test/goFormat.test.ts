@@ -0,0 +1,50 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Go layouts', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'go')).toBe('2006-01-02');
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'go')).toBe('2006-01-02T15:04:05.000-07:00');
+		expect(guessFormat('20130208T093026.123456+0530', 'go')).toBe('20060102T150405.000000-0700');
+		expect(guessFormat('2013-02-08T09:30:26Z', 'go')).toBe('2006-01-02T15:04:05Z07:00');
+		expect(guessFormat('2013-039', 'go')).toBe('2006-002');
+	});
+
+	test('# RFC 2822', () => {
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'go')).toBe('Mon, 02 Jan 2006 15:04:05 -0700');
+		expect(guessFormat('6 Mar 17 21:22:23 GMT', 'go')).toBe('2 Jan 06 15:04:05 MST');
+	});
+
+	test('# month names and slash delimited', () => {
+		expect(guessFormat('Sunday, 1 January, 9:00 pm', 'go')).toBe('Monday, 2 January, 3:04 pm');
+		expect(guessFormat('2020/1/1', 'go')).toBe('2006/1/2');
+		expect(guessFormat('31.12.2020 9.00', 'go')).toBe('02.01.2006 15.04');
+	});
+
+	test('# fractional seconds', () => {
+		expect(guessFormat('10:00:00,123', 'go')).toBe('15:04:05,000');
+		expect(guessFormatDetails('10:00:00:123', 'go')).toEqual({
+			format: '15:04:05:000',
+			parser: 'TwentyFourHourTimeFormatParser',
+			warnings: ['Go reads "000" in "15:04:05:000" as literal text, not as a layout element'],
+		});
+	});
+
+	test('# literal text read as a layout element', () => {
+		expect(guessFormatDetails('10:00:001123', 'go')).toEqual({
+			format: '15:04:051000',
+			parser: 'TwentyFourHourTimeFormatParser',
+			warnings: [
+				'Go reads "1" in "15:04:051000" as a layout element, not as literal text',
+				'Go reads "000" in "15:04:051000" as literal text, not as a layout element',
+			],
+		});
+	});
+
+	test('# tokens without a Go equivalent', () => {
+		expect(() => guessFormat('Fri, January 30th 2020, 10:00 AM', 'go')).toThrow(Error("Couldn't find go modifier for \"30th\""));
+		expect(() => guessFormat('2013-W06', 'go')).toThrow();
+		expect(() => guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'go')).toThrow();
+	});
+});
@@ -0,0 +1,40 @@
+import guessFormat from '../src';
+
+const { guessAllFormats } = guessFormat;
+
+describe('Guessing every format at once', () => {
+	test('# same formats as guessFormat', () => {
+		const allFormats = guessAllFormats('2020-10-10T10:00:00+05:30');
+		expect(allFormats.default).toBe('YYYY-MM-DDTHH:mm:ssZ');
+		expect(allFormats.strftime).toBe(guessFormat('2020-10-10T10:00:00+05:30', 'strftime'));
+		expect(allFormats.luxon).toBe("yyyy-LL-dd'T'HH:mm:ssZZ");
+		expect(allFormats.elasticsearch).toBe('strict_date_time_no_millis');
+		expect(Object.keys(allFormats)).toContain('bigquery');
+	});
+
+	test('# ambiguous dates', () => {
+		const allFormats = guessAllFormats('01/01/2020');
+		expect(allFormats.default).toEqual(['DD/MM/YYYY', 'MM/DD/YYYY']);
+		expect(allFormats.strftime).toEqual(['%d/%m/%Y', '%m/%d/%Y']);
+	});
+
+	test('# errors are kept per format', () => {
+		const allFormats = guessAllFormats('Mo, 23rd Nov, 2020');
+		expect(allFormats.default).toBe('dd, Do MMM, YYYY');
+		expect(allFormats.strftime).toBeInstanceOf(Error);
+		expect((allFormats.strftime as Error).message).toBe('Couldn\'t find strftime modifier for "Mo"');
+	});
+
+	test('# parsed results that fail are left out', () => {
+		const allFormats = guessAllFormats('2020010112');
+		expect(allFormats.default).toEqual(['YYYYMMDDHH', 'X']);
+		expect(allFormats.strftime).toEqual(['%Y%m%d%H', '%s']);
+		expect(allFormats.java).toBe('uuuuMMddHH');
+		expect(allFormats.python).toBe('%Y%m%d%H');
+		expect(allFormats.go).toBe('2006010215');
+	});
+
+	test('# unparseable dates', () => {
+		expect(() => guessAllFormats('Invalid date!')).toThrow('Couldn\'t parse date');
+	});
+});
@@ -0,0 +1,56 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('HTTP-date formats', () => {
+	test('# IMF-fixdate', () => {
+		expect(guessFormatDetails('Sun, 06 Nov 1994 08:49:37 GMT')).toEqual({
+			format: 'ddd, DD MMM YYYY HH:mm:ss z',
+			parser: 'IMFFixdateHTTPDateFormatParser',
+			warnings: [],
+		});
+		expect(guessFormat('Sun, 06 Nov 1994 08:49:37 GMT', 'strftime')).toBe('%a, %d %b %Y %H:%M:%S %Z');
+		expect(guessFormat('Sun, 06 Nov 1994 08:49:37 GMT', 'go')).toBe('Mon, 02 Jan 2006 15:04:05 MST');
+	});
+
+	test('# other RFC 2822 dates', () => {
+		expect(guessFormatDetails('Mon, 06 Mar 2017 21:22:23 +0000')).toEqual({
+			format: 'ddd, DD MMM YYYY HH:mm:ss ZZ',
+			parser: 'RFC2822DateTimeFormatParser',
+			warnings: [],
+		});
+	});
+
+	test('# RFC 850', () => {
+		expect(guessFormatDetails('Sunday, 06-Nov-94 08:49:37 GMT')).toEqual({
+			format: 'dddd, DD-MMM-YY HH:mm:ss z',
+			parser: 'RFC850HTTPDateFormatParser',
+			warnings: [],
+		});
+		expect(guessFormat('Sunday, 06-Nov-94 08:49:37 GMT', 'java')).toBe('EEEE, dd-MMM-uu HH:mm:ss z');
+	});
+
+	test('# asctime', () => {
+		expect(guessFormat('Sun Nov  6 08:49:37 1994', 'strftime')).toBe('%a %b %e %H:%M:%S %Y');
+		expect(guessFormat('Sun Nov  6 08:49:37 1994', 'go')).toBe('Mon Jan _2 15:04:05 2006');
+		expect(guessFormat('Sun Nov  6 08:49:37 1994', 'java')).toBe('EEE MMM ppd HH:mm:ss uuuu');
+		expect(guessFormatDetails('Sun Nov 16 08:49:37 1994')).toEqual({
+			format: 'ddd MMM DD HH:mm:ss YYYY',
+			parser: 'AsctimeHTTPDateFormatParser',
+			warnings: [],
+		});
+	});
+
+	test('# space padded days without a modifier', () => {
+		expect(guessFormatDetails('Sun Nov  6 08:49:37 1994')).toEqual({
+			format: 'ddd MMM  D HH:mm:ss YYYY',
+			parser: 'AsctimeHTTPDateFormatParser',
+			warnings: ['No space padded day of month modifier, " D" writes the space before two digit days as well'],
+		});
+		expect(guessFormatDetails('Sun Nov  6 08:49:37 1994', 'python')).toEqual({
+			format: '%a %b %d %H:%M:%S %Y',
+			parser: 'AsctimeHTTPDateFormatParser',
+			warnings: ['No space padded day of month modifier, "%d" reads " 6" but writes a zero padded day'],
+		});
+	});
+});
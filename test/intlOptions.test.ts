@@ -0,0 +1,123 @@
+import guessFormat from '../src';
+
+const { guessIntlOptions } = guessFormat;
+
+// "longOffset" came after Node 14, which .nvmrc pins
+function supportsLongOffset(): boolean {
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZoneName: 'longOffset' } as Intl.DateTimeFormatOptions);
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+describe('Intl.DateTimeFormat options', () => {
+	test('# dates en-US renders exactly', () => {
+		expect(guessIntlOptions('January 30, 2020')).toEqual({
+			options: { month: 'long', day: '2-digit', year: 'numeric' },
+			parser: 'MonthNameAndDayOfMonthDateFormatParser',
+			rendered: 'January 30, 2020',
+			exact: true,
+		});
+		expect(guessIntlOptions('12/31/2020, 11:59:59 PM')).toMatchObject({
+			options: {
+				month: '2-digit',
+				day: '2-digit',
+				year: 'numeric',
+				hour: '2-digit',
+				hourCycle: 'h12',
+				minute: '2-digit',
+				second: '2-digit',
+			},
+			parser: 'USStyleSlashDelimitedDateFormatParser',
+			exact: true,
+		});
+		expect(guessIntlOptions('10:00:00.123')).toEqual({
+			options: { hour: '2-digit', hourCycle: 'h23', minute: '2-digit', second: '2-digit', fractionalSecondDigits: 3 },
+			parser: 'TwentyFourHourTimeFormatParser',
+			rendered: '10:00:00.123',
+			exact: true,
+		});
+	});
+
+	test('# ambiguous input', () => {
+		expect(guessIntlOptions('1/1/2020')).toEqual([
+			{
+				options: { day: 'numeric', month: 'numeric', year: 'numeric' },
+				parser: 'UKStyleSlashDelimitedDateFormatParser',
+				rendered: '1/1/2020',
+				exact: true,
+			},
+			{
+				options: { month: 'numeric', day: 'numeric', year: 'numeric' },
+				parser: 'USStyleSlashDelimitedDateFormatParser',
+				rendered: '1/1/2020',
+				exact: true,
+			},
+		]);
+	});
+
+	test('# dates en-US renders differently', () => {
+		expect(guessIntlOptions('2020-10-10')).toEqual({
+			options: { year: 'numeric', month: '2-digit', day: '2-digit' },
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			rendered: '10/10/2020',
+			exact: false,
+		});
+		expect(guessIntlOptions('Fri, January 30th 2020, 10:00 AM')).toMatchObject({
+			options: {
+				weekday: 'short',
+				month: 'long',
+				day: 'numeric',
+				year: 'numeric',
+				hour: '2-digit',
+				hourCycle: 'h12',
+				minute: '2-digit',
+			},
+			exact: false,
+		});
+	});
+
+	test('# timezones', () => {
+		expect(guessIntlOptions('Jan 1, 2020, 09:30:15 AM EST')).toMatchObject({
+			options: { timeZoneName: 'short' },
+			exact: false,
+		});
+		if (!supportsLongOffset()) {
+			return;
+		}
+		expect(guessIntlOptions('2011-12-03T10:15:30+01:00[Europe/Paris]')).toEqual({
+			options: {
+				year: 'numeric',
+				month: '2-digit',
+				day: '2-digit',
+				hour: '2-digit',
+				hourCycle: 'h23',
+				minute: '2-digit',
+				second: '2-digit',
+				timeZoneName: 'longOffset',
+				timeZone: 'Europe/Paris',
+			},
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			rendered: '12/03/2011, 10:15:30 GMT+01:00',
+			exact: false,
+		});
+	});
+
+	test('# offsets where "longOffset" is unsupported', () => {
+		const details = guessIntlOptions('2011-12-03T10:15:30+01:00[Europe/Paris]');
+		expect(details).toMatchObject({
+			options: { timeZoneName: supportsLongOffset() ? 'longOffset' : 'short', timeZone: 'Europe/Paris' },
+			exact: false,
+		});
+		expect(guessIntlOptions('2020-01-01T10:00:00+05:30')).toMatchObject({
+			options: { timeZoneName: supportsLongOffset() ? 'longOffset' : 'short' },
+			exact: false,
+		});
+	});
+
+	test('# unparsable input', () => {
+		expect(() => guessIntlOptions('not a date')).toThrow(Error("Couldn't parse date"));
+	});
+});
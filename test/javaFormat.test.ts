@@ -0,0 +1,71 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Java DateTimeFormatter formats', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'java')).toBe('uuuu-MM-dd');
+		expect(guessFormat('2013-02-08T09:30:26.123Z', 'java')).toBe("uuuu-MM-dd'T'HH:mm:ss.SSSXXX");
+		expect(guessFormat('2013-02-08T09:30:26.123456+05:30', 'java')).toBe("uuuu-MM-dd'T'HH:mm:ss.SSSSSSXXX");
+		expect(guessFormat('2013-02-08T09:30:26.123456789+05', 'java')).toBe("uuuu-MM-dd'T'HH:mm:ss.SSSSSSSSSX");
+		expect(guessFormat('2013-039', 'java')).toBe('uuuu-DDD');
+	});
+
+	test('# zone id', () => {
+		expect(guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'java')).toBe("uuuu-MM-dd'T'HH:mm:ssXXX'['VV']'");
+		expect(guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'luxon')).toBe("yyyy-LL-dd'T'HH:mm:ssZZ[z]");
+		expect(() => guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'ldml')).toThrow();
+		expect(() => guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]')).toThrow(Error("Couldn't find default modifier for \"Europe/Paris\""));
+	});
+
+	test('# RFC 2822', () => {
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'java')).toBe('EEE, dd MMM uuuu HH:mm:ss Z');
+		expect(guessFormat('6 Mar 17 21:22:23 GMT', 'java')).toBe('d MMM uu HH:mm:ss z');
+	});
+
+	test('# twelve hour time', () => {
+		expect(guessFormatDetails('31-Dec-2020 10:00 PM', 'java')).toEqual({
+			format: 'dd-MMM-uuuu hh:mm a',
+			parser: 'DashDelimitedWithMonthNameDateTimeFormatParser',
+			warnings: [],
+		});
+		expect(guessFormatDetails('31-Dec-2020 10:00 pm', 'java')).toHaveProperty('warnings', [
+			'"pm" only parses with DateTimeFormatterBuilder.parseCaseInsensitive()',
+		]);
+	});
+
+	test('# week date', () => {
+		expect(guessFormatDetails('2013-W06-5', 'java')).toEqual({
+			format: "YYYY-'W'ww-e",
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: [
+				"Week based fields follow the locale's week definition, use a locale with ISO weeks(e.g. Locale.UK) or DateTimeFormatter.ISO_WEEK_DATE",
+			],
+		});
+	});
+
+	test('# tokens without a Java equivalent', () => {
+		expect(() => guessFormat('January 30th 2020', 'java')).toThrow(Error("Couldn't find java modifier for \"30th\""));
+	});
+});
+
+describe('Java SimpleDateFormat formats', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2013-02-08T09:30:26.123Z', 'java:legacy')).toBe("yyyy-MM-dd'T'HH:mm:ss.SSSXXX");
+		expect(guessFormat('2013-W06-5', 'java:legacy')).toBe("YYYY-'W'ww-u");
+	});
+
+	test('# twelve hour time', () => {
+		expect(guessFormatDetails('31-Dec-20 10:00 pm', 'java:legacy')).toEqual({
+			format: 'dd-MMM-yy hh:mm a',
+			parser: 'DashDelimitedWithMonthNameDateTimeFormatParser',
+			warnings: [],
+		});
+	});
+
+	test('# fractions other than milliseconds', () => {
+		expect(() => guessFormat('2013-02-08T09:30:26.1', 'java:legacy')).toThrow();
+		expect(() => guessFormat('2013-02-08T09:30:26.123456', 'java:legacy')).toThrow();
+		expect(() => guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'java:legacy')).toThrow();
+	});
+});
@@ -0,0 +1,35 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('JavaScript Date string formats', () => {
+	test('# toString', () => {
+		expect(guessFormat('Wed Jan 01 2020 10:00:00 GMT+0530 (India Standard Time)')).toBe('ddd MMM DD YYYY HH:mm:ss [GMT]ZZ ([India Standard Time])');
+		expect(guessFormat('Wed Jan 01 2020 10:00:00 GMT+0530 (India Standard Time)', 'strftime')).toBe('%a %b %d %Y %H:%M:%S GMT%z (India Standard Time)');
+		expect(guessFormat('Wed Jan 01 2020 10:00:00 GMT+0530 (India Standard Time)', 'ldml')).toBe("EEE MMM dd yyyy HH:mm:ss 'GMT'xx ('India Standard Time')");
+		expect(guessFormat('Wed Jan 01 2020 04:30:00 GMT+0000', 'luxon')).toBe("EEE LLL dd yyyy HH:mm:ss 'GMT'ZZZ");
+	});
+
+	test('# long timezone names', () => {
+		expect(guessFormat('Wed Jan 01 2020 10:00:00 GMT+0530 (India Standard Time)', 'java')).toBe("EEE MMM dd uuuu HH:mm:ss 'GMT'Z (zzzz)");
+		expect(guessFormat('Wed Jan 01 2020 04:30:00 GMT+0000 (Coordinated Universal Time)', 'java:legacy')).toBe("EEE MMM dd yyyy HH:mm:ss 'GMT'Z (zzzz)");
+	});
+
+	test('# toDateString', () => {
+		expect(guessFormat('Wed Jan 01 2020')).toBe('ddd MMM DD YYYY');
+		expect(guessFormat('Wed Jan 01 2020', 'strftime')).toBe('%a %b %d %Y');
+	});
+
+	test('# toTimeString', () => {
+		expect(guessFormatDetails('10:00:00 GMT+0530 (India Standard Time)')).toEqual({
+			format: 'HH:mm:ss [GMT]ZZ ([India Standard Time])',
+			parser: 'JavaScriptTimeStringFormatParser',
+			warnings: [],
+		});
+	});
+
+	test('# toUTCString and toISOString', () => {
+		expect(guessFormat('Wed, 01 Jan 2020 04:30:00 GMT')).toBe('ddd, DD MMM YYYY HH:mm:ss z');
+		expect(guessFormat('2020-01-01T04:30:00.000Z')).toBe('YYYY-MM-DDTHH:mm:ss.SSS[Z]');
+	});
+});
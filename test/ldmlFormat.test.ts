@@ -0,0 +1,41 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Unicode LDML (date-fns) formats', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'ldml')).toBe('yyyy-MM-dd');
+		expect(guessFormat('2013-02-08T09:30:26.123Z', 'ldml')).toBe("yyyy-MM-dd'T'HH:mm:ss.SSSXXX");
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'ldml')).toBe("yyyy-MM-dd'T'HH:mm:ss.SSSxxx");
+		expect(guessFormat('20130208T093026.123456+0530', 'ldml')).toBe("yyyyMMdd'T'HHmmss.SSSSSSxx");
+		expect(guessFormat('2013-02-08T09+05', 'ldml')).toBe("yyyy-MM-dd'T'HHx");
+	});
+
+	test('# week date uses the ISO week-numbering year', () => {
+		expect(guessFormat('2013-W06-5', 'ldml')).toBe("RRRR-'W'II-i");
+	});
+
+	test('# ordinal date', () => {
+		expect(guessFormat('2013-039', 'ldml')).toBe('yyyy-DDD');
+	});
+
+	test('# RFC 2822', () => {
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'ldml')).toBe('EEE, dd MMM yyyy HH:mm:ss xx');
+		expect(guessFormat('6 Mar 17 21:22:23 GMT', 'ldml')).toBe('d MMM yy HH:mm:ss zzz');
+		expect(guessFormat('Mon 06 Mar 2017 21:22:23 z', 'ldml')).toBe("EEE dd MMM yyyy HH:mm:ss 'z'");
+	});
+
+	test('# timezone abbreviations only format', () => {
+		expect(guessFormatDetails('6 Mar 17 21:22:23 GMT', 'ldml')).toEqual({
+			format: 'd MMM yy HH:mm:ss zzz',
+			parser: 'RFC2822DateTimeFormatParser',
+			warnings: ['date-fns can format "zzz" but parse cannot parse "GMT" with it'],
+		});
+	});
+
+	test('# ordinals and weekday names', () => {
+		expect(guessFormat('Fri, January 30th 2020, 10:00 AM', 'ldml')).toBe('EEE, MMMM do yyyy, hh:mm a');
+		expect(guessFormat('Su, 31st January', 'ldml')).toBe('EEEEEE, do MMMM');
+		expect(guessFormat('Sunday, 1st January, 9:00 pm', 'ldml')).toBe('EEEE, do MMMM, h:mm aaa');
+	});
+});
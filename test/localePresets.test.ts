@@ -0,0 +1,48 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+const dePresets = {
+	LT: 'HH:mm',
+	LTS: 'HH:mm:ss',
+	L: 'DD.MM.YYYY',
+	LL: 'D. MMMM YYYY',
+	LLL: 'D. MMMM YYYY HH:mm',
+	LLLL: 'dddd, D. MMMM YYYY HH:mm',
+};
+
+describe('moment locale presets', () => {
+	test('# en presets', () => {
+		expect(guessFormat('January 30, 2020 10:00 AM', 'default', { presets: true })).toBe('LLL');
+		expect(guessFormat('Thursday, January 30, 2020 10:00 AM', 'default', { presets: true })).toBe('LLLL');
+		expect(guessFormat('12/31/2020', 'default', { presets: true })).toBe('L');
+		expect(guessFormat('Jan 5, 2020', 'default', { presets: true })).toBe('ll');
+		expect(guessFormat('10:00:15 AM', 'default', { presets: true })).toBe('LTS');
+	});
+
+	test('# compositions', () => {
+		expect(guessFormat('Thursday, January 30, 2020', 'default', { presets: true })).toBe('dddd, LL');
+		expect(guessFormat('2020-01-01 10:00 AM', 'default', { presets: true })).toBe('YYYY-MM-DD LT');
+	});
+
+	test('# padding has to match', () => {
+		expect(guessFormat('1/5/2020', 'default', { presets: true })).toEqual(['D/M/YYYY', 'l']);
+		expect(guessFormat('January 05, 2020', 'default', { presets: true })).toBe('MMMM DD, YYYY');
+	});
+
+	test('# other locales', () => {
+		expect(guessFormat('30.01.2020 10:00', 'default', { presets: dePresets })).toBe('L LT');
+		expect(guessFormatDetails('31.12.2020', 'default', { presets: dePresets })).toEqual({
+			format: 'L',
+			parser: 'UKStyleSlashDelimitedDateFormatParser',
+			warnings: [],
+		});
+	});
+
+	test('# only for the default format', () => {
+		expect(guessFormat('January 30, 2020 10:00 AM')).toBe('MMMM DD, YYYY hh:mm A');
+		expect(() => guessFormat('January 30, 2020', 'strftime', { presets: true })).toThrow(
+			Error('Locale presets are only available for the default format, not "strftime"')
+		);
+	});
+});
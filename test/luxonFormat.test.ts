@@ -0,0 +1,64 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Luxon formats', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'luxon')).toBe('yyyy-LL-dd');
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'luxon')).toBe("yyyy-LL-dd'T'HH:mm:ss.SSSZZ");
+		expect(guessFormat('20130208T093026+0530', 'luxon')).toBe("yyyyLLdd'T'HHmmssZZZ");
+		expect(guessFormat('2013-02-08T09:30Z', 'luxon')).toBe("yyyy-LL-dd'T'HH:mm'Z'");
+	});
+
+	test('# fractional seconds', () => {
+		expect(guessFormat('2013-02-08T09:30:26.1', 'luxon')).toBe("yyyy-LL-dd'T'HH:mm:ss.uuu");
+		expect(guessFormat('2013-02-08T09:30:26.12', 'luxon')).toBe("yyyy-LL-dd'T'HH:mm:ss.uu");
+		expect(guessFormat('2013-02-08T09:30:26.123456', 'luxon')).toBe("yyyy-LL-dd'T'HH:mm:ss.u");
+	});
+
+	test('# week date uses the ISO week year', () => {
+		expect(guessFormat('2013-W06-5', 'luxon')).toBe("kkkk-'W'WW-E");
+		expect(guessFormat('2013W065', 'luxon')).toBe("kkkk'W'WWE");
+	});
+
+	test('# ordinal date', () => {
+		expect(guessFormat('2013-039', 'luxon')).toBe('yyyy-ooo');
+	});
+
+	test('# RFC 2822', () => {
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'luxon')).toBe('EEE, dd LLL yyyy HH:mm:ss ZZZ');
+		expect(guessFormat('6 Mar 17 21:22:23 GMT', 'luxon')).toBe('d LLL yy HH:mm:ss ZZZZ');
+	});
+
+	test('# month names and twelve hour time', () => {
+		expect(guessFormat('Sunday, January 1, 2020 10:00 PM', 'luxon')).toBe('EEEE, LLLL d, yyyy hh:mm a');
+		expect(guessFormat('1 Jan, 9:00 am', 'luxon')).toBe('d LLL, h:mm a');
+		expect(guessFormat('31-Dec-2020', 'luxon')).toBe('dd-LLL-yyyy');
+	});
+
+	test('# tokens without a Luxon equivalent', () => {
+		expect(() => guessFormat('January 30th 2020', 'luxon')).toThrow(Error("Couldn't find luxon modifier for \"30th\""));
+		expect(() => guessFormat('+002020-10-10', 'luxon')).toThrow();
+	});
+
+	test('# timezone abbreviations', () => {
+		expect(guessFormatDetails('01/01/2020 10:00 AM PST', 'luxon')).toEqual([
+			{
+				format: 'dd/LL/yyyy hh:mm a ZZZZ',
+				parser: 'UKStyleSlashDelimitedDateFormatParser',
+				warnings: ['Luxon can format "ZZZZ" but DateTime.fromFormat cannot parse "PST" with it, parse the offset instead'],
+			},
+			{
+				format: 'LL/dd/yyyy hh:mm a ZZZZ',
+				parser: 'USStyleSlashDelimitedDateFormatParser',
+				warnings: ['Luxon can format "ZZZZ" but DateTime.fromFormat cannot parse "PST" with it, parse the offset instead'],
+			},
+		]);
+	});
+
+	test('# unknown format', () => {
+		// Formats without assigners of their own fall back to strftime
+		expect(guessFormat('2020-10-10', 'unknown')).toBe('%Y-%m-%d');
+		expect(() => guessFormat('Mo, 23rd Nov, 2020', 'unknown')).toThrow(Error("Couldn't find strftime modifier for \"Mo\""));
+	});
+});
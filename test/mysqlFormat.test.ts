@@ -0,0 +1,51 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('MySQL date formats', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'mysql')).toBe('%Y-%m-%d');
+		expect(guessFormat('20130208T093026', 'mysql')).toBe('%Y%m%dT%H%i%s');
+		expect(guessFormat('2013-039', 'mysql')).toBe('%Y-%j');
+	});
+
+	test('# unpadded values and names', () => {
+		expect(guessFormat('2020/1/1', 'mysql')).toBe('%Y/%c/%e');
+		expect(guessFormat('31.12.2020 9.00', 'mysql')).toBe('%d.%m.%Y %k.%i');
+		expect(guessFormat('Sunday, 1 January, 9:00 pm', 'mysql')).toBe('%W, %e %M, %l:%i %p');
+		expect(guessFormat('10:00:00,123', 'mysql')).toBe('%H:%i:%s,%f');
+	});
+
+	test('# ordinal suffixes', () => {
+		expect(guessFormat('Fri, January 30th 2020, 10:00 AM', 'mysql')).toBe('%a, %M %D %Y, %h:%i %p');
+		expect(guessFormat('1st January 2020', 'mysql')).toBe('%D %M %Y');
+		expect(() => guessFormat('Sunday, 01st January, 9:00 pm', 'mysql')).toThrow(Error("Couldn't find mysql modifier for \"01st\""));
+	});
+
+	test('# timezones are kept as literal text', () => {
+		expect(guessFormatDetails('2013-02-08T09:30:26.123+05:30', 'mysql')).toEqual({
+			format: '%Y-%m-%dT%H:%i:%s.%f+05:30',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: ['MySQL has no timezone directive, "+05:30" is matched as literal text and ignored'],
+		});
+		expect(guessFormatDetails('6 Mar 17 21:22:23 GMT', 'mysql')).toEqual({
+			format: '%e %b %y %H:%i:%s GMT',
+			parser: 'RFC2822DateTimeFormatParser',
+			warnings: ['MySQL has no timezone directive, "GMT" is matched as literal text and ignored'],
+		});
+	});
+
+	test('# week date', () => {
+		expect(guessFormatDetails('2013-W06', 'mysql')).toEqual({
+			format: '%x-W%v',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: ['STR_TO_DATE needs a weekday along with "%x" and "%v" to build a date'],
+		});
+	});
+
+	test('# tokens without a MySQL equivalent', () => {
+		expect(() => guessFormat('2013-W06-5', 'mysql')).toThrow(Error("Couldn't find mysql modifier for \"5\""));
+		expect(() => guessFormat('Mo, 23rd Nov, 2020', 'mysql')).toThrow();
+		expect(() => guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'mysql')).toThrow();
+	});
+});
@@ -0,0 +1,80 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Oracle format models', () => {
+	test('# dash delimited with month name', () => {
+		expect(guessFormat('31-Dec-2020', 'oracle')).toBe('FXDD-Mon-YYYY');
+		expect(guessFormat('31-Dec-2020 10:00:00.123 PM +01:00', 'oracle')).toBe('FXDD-Mon-YYYY HH12:MI:SS.FF3 AM TZH:TZM');
+	});
+
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'oracle')).toBe('FXYYYY-MM-DD');
+		expect(guessFormat('20130208T093026.123456+0530', 'oracle')).toBe('FXYYYYMMDD"T"HH24MISS.FF6TZHTZM');
+		expect(guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'oracle')).toBe('YYYY-MM-DD"T"HH24:MI:SSTZH:TZM"["TZR"]"');
+		expect(guessFormat('2013-039', 'oracle')).toBe('FXYYYY-DDD');
+	});
+
+	test('# fill mode for unpadded values and names', () => {
+		expect(guessFormat('2020/1/1', 'oracle')).toBe('YYYY/FMMMFM/FMDDFM');
+		expect(guessFormat('31.12.2020 9.00', 'oracle')).toBe('DD.MM.YYYY FMHH24FM.MI');
+		expect(guessFormat('Sunday, 1 January, 9:00 pm', 'oracle')).toBe('FMDayFM, FMDDFM FMMonthFM, FMHH12FM:MI am');
+	});
+
+	test('# exact matching for padded values', () => {
+		expect(guessFormat('2020/01/01 09:05:00', 'oracle')).toBe('FXYYYY/MM/DD HH24:MI:SS');
+		expect(guessFormat('2020/1/1 9:05:00', 'oracle')).toBe('YYYY/FMMMFM/FMDDFM FMHH24FM:MI:SS');
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'oracle')).toBe('FXDy, DD Mon YYYY HH24:MI:SS TZHTZM');
+	});
+
+	test('# elements that can only be formatted', () => {
+		expect(guessFormatDetails('1st January 2020', 'oracle')).toEqual({
+			format: 'FMDDthFM FMMonthFM YYYY',
+			parser: 'DayOfMonthAndMonthNameDateFormatParser',
+			warnings: ['TO_CHAR can format "FMDDthFM" but TO_DATE cannot parse "1st" with it'],
+		});
+		expect(guessFormatDetails('2013-W06', 'oracle')).toEqual({
+			format: 'FXIYYY-"W"IW',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: [
+				'TO_CHAR can format "IYYY" but TO_DATE cannot parse "2013" with it',
+				'TO_CHAR can format "IW" but TO_DATE cannot parse "06" with it',
+			],
+		});
+		expect(guessFormatDetails('6 Mar 17 21:22:23 GMT', 'oracle')).toEqual({
+			format: 'FMDDFM Mon YY HH24:MI:SS TZD',
+			parser: 'RFC2822DateTimeFormatParser',
+			warnings: ['"TZD" only reads "GMT" along with a "TZR" region'],
+		});
+	});
+
+	test('# tokens without an Oracle equivalent', () => {
+		expect(() => guessFormat('2013-02-08T09:30:26Z', 'oracle')).toThrow(Error("Couldn't find oracle modifier for \"Z\""));
+		expect(() => guessFormat('2013-W06-5', 'oracle')).toThrow();
+		expect(() => guessFormat('Mo, 23rd Nov, 2020', 'oracle')).toThrow();
+	});
+});
+
+describe('Snowflake format models', () => {
+	test('# dash delimited with month name', () => {
+		expect(guessFormat('31-Dec-2020', 'oracle:snowflake')).toBe('DD-MON-YYYY');
+		expect(guessFormat('31-Dec-2020 10:00:00.123 PM +01:00', 'oracle:snowflake')).toBe('DD-MON-YYYY HH12:MI:SS.FF3 AM TZH:TZM');
+	});
+
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'oracle:snowflake')).toBe('YYYY-MM-DD"T"HH24:MI:SS.FF3TZH:TZM');
+		expect(guessFormat('20130208T093026.123456+0530', 'oracle:snowflake')).toBe('YYYYMMDD"T"HH24MISS.FF6TZHTZM');
+	});
+
+	test('# leading zeros are optional', () => {
+		expect(guessFormat('2020/1/1', 'oracle:snowflake')).toBe('YYYY/MM/DD');
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'oracle:snowflake')).toBe('DY, DD MON YYYY HH24:MI:SS TZHTZM');
+	});
+
+	test('# tokens without a Snowflake equivalent', () => {
+		expect(() => guessFormat('Sunday, 1 January, 9:00 pm', 'oracle:snowflake')).toThrow(Error("Couldn't find oracle:snowflake modifier for \"Sunday\""));
+		expect(() => guessFormat('2013-039', 'oracle:snowflake')).toThrow();
+		expect(() => guessFormat('6 Mar 17 21:22:23 GMT', 'oracle:snowflake')).toThrow();
+		expect(() => guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'oracle:snowflake')).toThrow();
+	});
+});
@@ -0,0 +1,52 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('PHP date formats', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'php')).toBe('Y-m-d');
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'php')).toBe('Y-m-d\\TH:i:s.vP');
+		expect(guessFormat('20130208T093026.123456+0530', 'php')).toBe('Ymd\\THis.uO');
+		expect(guessFormat('2013-02-08T09:30:26Z', 'php')).toBe('Y-m-d\\TH:i:sp');
+		expect(guessFormat('2011-12-03T10:15:30+01:00[Europe/Paris]', 'php')).toBe('Y-m-d\\TH:i:sP[e]');
+	});
+
+	test('# ordinal suffixes', () => {
+		expect(guessFormat('Fri, January 30th 2020, 10:00 AM', 'php')).toBe('D, F jS Y, h:i A');
+		expect(guessFormat('Sunday, 01st January, 9:00 pm', 'php')).toBe('l, dS F, g:i a');
+	});
+
+	test('# RFC 2822', () => {
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'php')).toBe('D, d M Y H:i:s O');
+		expect(guessFormat('6 Mar 17 21:22:23 GMT', 'php')).toBe('j M y H:i:s T');
+	});
+
+	test('# slash delimited', () => {
+		expect(guessFormat('2020/1/1', 'php')).toBe('Y/n/j');
+		expect(guessFormat('31.12.2020 9.00', 'php')).toBe('d.m.Y G.i');
+	});
+
+	test('# day of year counts from zero', () => {
+		expect(guessFormatDetails('2013-039', 'php')).toEqual({
+			format: 'Y-z',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: ['PHP\'s "z" counts days from 0, "039" is read as day 40 of the year'],
+		});
+	});
+
+	test('# week date can only be formatted', () => {
+		expect(guessFormatDetails('2013-W06', 'php')).toEqual({
+			format: 'o-\\WW',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: [
+				'date() can format "o" but createFromFormat cannot parse "2013" with it',
+				'date() can format "W" but createFromFormat cannot parse "06" with it',
+			],
+		});
+	});
+
+	test('# tokens without a PHP equivalent', () => {
+		expect(() => guessFormat('+002020-10-10', 'php')).toThrow(Error("Couldn't find php modifier for \"+002020\""));
+		expect(() => guessFormat('Mo, 23rd Nov, 2020', 'php')).toThrow();
+	});
+});
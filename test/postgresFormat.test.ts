@@ -0,0 +1,42 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('PostgreSQL template patterns', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'postgres')).toBe('YYYY-MM-DD');
+		expect(guessFormat('2013-02-08T09:30:26.123+05:30', 'postgres')).toBe('YYYY-MM-DD"T"HH24:MI:SS.MSTZH:TZM');
+		expect(guessFormat('20130208T093026.123456+0530', 'postgres')).toBe('YYYYMMDD"T"HH24MISS.USTZHTZM');
+		expect(guessFormat('2013-039', 'postgres')).toBe('YYYY-DDD');
+		expect(guessFormat('2013-W06-5', 'postgres')).toBe('IYYY-"W"IW-ID');
+	});
+
+	test('# unpadded values use the FM prefix', () => {
+		expect(guessFormat('2020/1/1', 'postgres')).toBe('YYYY/FMMM/FMDD');
+		expect(guessFormat('31.12.2020 9.00', 'postgres')).toBe('DD.MM.YYYY FMHH24.MI');
+		expect(guessFormat('Sunday, 1 January, 9:00 pm', 'postgres')).toBe('FMDay, FMDD FMMonth, FMHH12:MI am');
+	});
+
+	test('# ordinal suffixes', () => {
+		expect(guessFormat('Fri, January 30th 2020, 10:00 AM', 'postgres')).toBe('Dy, FMMonth DDth YYYY, HH12:MI AM');
+		expect(guessFormat('Sunday, 01st January, 9:00 pm', 'postgres')).toBe('FMDay, DDth FMMonth, FMHH12:MI am');
+	});
+
+	test('# RFC 2822', () => {
+		expect(guessFormat('Mon, 06 Mar 2017 21:22:23 +0000', 'postgres')).toBe('Dy, DD Mon YYYY HH24:MI:SS TZHTZM');
+	});
+
+	test('# timezone abbreviations can only be formatted', () => {
+		expect(guessFormatDetails('6 Mar 17 21:22:23 GMT', 'postgres')).toEqual({
+			format: 'FMDD Mon YY HH24:MI:SS TZ',
+			parser: 'RFC2822DateTimeFormatParser',
+			warnings: ['to_char can format "TZ" but to_timestamp cannot parse "GMT" with it'],
+		});
+	});
+
+	test('# tokens without a PostgreSQL equivalent', () => {
+		expect(() => guessFormat('2013-02-08T09:30:26Z', 'postgres')).toThrow(Error("Couldn't find postgres modifier for \"Z\""));
+		expect(() => guessFormat('Mo, 23rd Nov, 2020', 'postgres')).toThrow();
+		expect(() => guessFormat('+002020-10-10', 'postgres')).toThrow();
+	});
+});
@@ -0,0 +1,46 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Python strptime formats', () => {
+	test('# ISO 8601 date and time', () => {
+		expect(guessFormat('2020-10-10', 'python')).toBe('%Y-%m-%d');
+		expect(guessFormat('2013-02-08T09:30:26.123456+05:30', 'python')).toBe('%Y-%m-%dT%H:%M:%S.%f%z');
+		expect(guessFormat('2013-02-08T09:30:26.1Z', 'python')).toBe('%Y-%m-%dT%H:%M:%S.%f%z');
+		expect(guessFormat('2013-W06-5', 'python')).toBe('%G-W%V-%u');
+		expect(guessFormat('2013-039', 'python')).toBe('%Y-%j');
+	});
+
+	test('# unpadded values use the padded directives', () => {
+		expect(guessFormat('2020/1/1', 'python')).toBe('%Y/%m/%d');
+		expect(guessFormat('6 Mar 17 21:22:23 +0000', 'python')).toBe('%d %b %y %H:%M:%S %z');
+		expect(guessFormat('1 Jan, 9:00 am', 'python')).toBe('%d %b, %I:%M %p');
+	});
+
+	test('# ordinal suffixes are reported', () => {
+		expect(guessFormatDetails('Fri, January 30th 2020, 10:00 AM', 'python')).toEqual({
+			format: '%a, %B %d %Y, %I:%M %p',
+			parser: 'MonthNameAndDayOfMonthDateFormatParser',
+			warnings: [
+				'strptime can\'t parse the ordinal suffix "th" of "30th", strip it before parsing',
+			],
+		});
+	});
+
+	test('# timezone abbreviations are reported', () => {
+		expect(guessFormatDetails('6 Mar 17 21:22:23 GMT', 'python')).toHaveProperty('warnings', []);
+		expect(guessFormatDetails('10:00 pm PST', 'python')).toEqual({
+			format: '%I:%M %p %Z',
+			parser: 'TwelveHourTimeFormatParser',
+			warnings: [
+				'"%Z" only parses UTC, GMT and the local timezone\'s names, "PST" may have to be replaced by its offset',
+			],
+		});
+	});
+
+	test('# tokens without a Python equivalent', () => {
+		expect(() => guessFormat('2013-02-08T09+05', 'python')).toThrow(Error("Couldn't find python modifier for \"+05\""));
+		expect(() => guessFormat('2013-02-08T09:30:26.123456789', 'python')).toThrow();
+		expect(() => guessFormat('Mo, 23rd Nov, 2020', 'python')).toThrow();
+	});
+});
@@ -0,0 +1,41 @@
+import guessFormat from '../src';
+
+const { guessFormatDetails } = guessFormat;
+
+describe('Syslog formats', () => {
+	test('# RFC 3164', () => {
+		expect(guessFormatDetails('Jan  1 10:00:00')).toEqual({
+			format: 'MMM  D HH:mm:ss',
+			parser: 'RFC3164SyslogFormatParser',
+			warnings: ['No space padded day of month modifier, " D" writes the space before two digit days as well'],
+		});
+		expect(guessFormat('Jan  1 10:00:00', 'strftime')).toBe('%b %e %H:%M:%S');
+		expect(guessFormat('Jan  1 10:00:00', 'go')).toBe('Jan _2 15:04:05');
+	});
+
+	test('# RFC 3164 with two digit days', () => {
+		expect(guessFormatDetails('Jan 10 10:00:00')).toEqual({
+			format: 'MMM DD HH:mm:ss',
+			parser: 'RFC3164SyslogFormatParser',
+			warnings: [],
+		});
+		expect(guessFormat('Jan 10 10:00:00', 'strftime')).toBe('%b %d %H:%M:%S');
+	});
+
+	test('# RFC 5424', () => {
+		expect(guessFormatDetails('2020-01-01T10:00:00.123456+05:30')).toEqual({
+			format: 'YYYY-MM-DDTHH:mm:ss.SSSSSSZ',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: [],
+		});
+		expect(guessFormat('2020-01-01T10:00:00.123456Z')).toBe('YYYY-MM-DDTHH:mm:ss.SSSSSS[Z]');
+		expect(guessFormat('2020-01-01T10:00:00.123456+05:30', 'python')).toBe('%Y-%m-%dT%H:%M:%S.%f%z');
+		expect(guessFormat('2003-10-11T22:14:15.003Z', 'strftime')).toBe('%Y-%m-%dT%H:%M:%S.%LZ');
+		expect(guessFormatDetails('2003-10-11T22:14:15.003000Z', 'strftime')).toEqual({
+			format: '%Y-%m-%dT%H:%M:%S.%LZ',
+			parser: 'ISO8601ExtendedDateTimeFormatParser',
+			warnings: ['"%L" only stands for milliseconds, "003000" is written back with 3 digits'],
+		});
+		expect(guessFormat('2020-01-01T10:00:00.123456+05:30', 'strftime')).toBe('%Y-%m-%dT%H:%M:%S.%L%:z');
+	});
+});